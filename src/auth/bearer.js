@@ -0,0 +1,56 @@
+// Bearer token helpers shared by the auth modes
+export class AuthError extends Error {
+  constructor(error, description, status = 401) {
+    super(description);
+    this.name = 'AuthError';
+    this.error = error;
+    this.status = status;
+  }
+}
+
+// Token from the Authorization header, or the legacy X-Descope-Token header
+export function extractBearerToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+  return req.headers['x-descope-token'] || null;
+}
+
+// Scopes granted by a token: its OAuth "scope" claim plus any Descope RBAC permissions
+export function scopesFromClaims(claims) {
+  const scopes = typeof claims.scope === 'string' ? claims.scope.split(' ').filter(Boolean) : [];
+  return [...new Set([...scopes, ...(claims.permissions || [])])];
+}
+
+// OAuth Protected Resource Metadata (RFC 9728) for the /mcp resource
+export function buildProtectedResourceMetadata(config, scopesSupported) {
+  return {
+    resource: `${config.serverUrl}/mcp`,
+    authorization_servers: [config.serverUrl],
+    bearer_methods_supported: ['header'],
+    scopes_supported: scopesSupported,
+    resource_name: 'Descope Store MCP Server',
+    resource_documentation: 'https://github.com/sharanyareddy9/descope-store-mcp'
+  };
+}
+
+// Reject a request with an RFC 6750 Bearer challenge, pointing at the
+// resource metadata when the auth mode publishes it
+export function sendBearerChallenge(res, config, auth, error) {
+  if (error.status === 401) {
+    const params = ['realm="descope-store-mcp"'];
+    if (auth.discovery) {
+      params.push(`resource_metadata="${config.serverUrl}/.well-known/oauth-protected-resource"`);
+    }
+    if (error.error) {
+      params.push(`error="${error.error}"`, `error_description="${error.message}"`);
+    }
+    res.setHeader('WWW-Authenticate', `Bearer ${params.join(', ')}`);
+  }
+
+  return res.status(error.status).json({
+    error: error.error || 'invalid_token',
+    error_description: error.message
+  });
+}
@@ -0,0 +1,27 @@
+// Demo auth: accepts the configured static tokens. For local testing only.
+import { AuthError, extractBearerToken } from './bearer.js';
+
+export function createDemoAuth(config) {
+  const authenticate = async (req) => {
+    const token = extractBearerToken(req);
+
+    if (!token) {
+      throw new AuthError(null, 'Bearer token required in Authorization header');
+    }
+
+    if (!config.demoTokens.includes(token)) {
+      throw new AuthError('invalid_token', 'Token is not a configured demo token');
+    }
+
+    // The tokens are public, so they only get store:admin (ordering for
+    // any customer) when the config adds it to demoScopes
+    return {
+      token,
+      clientId: 'demo',
+      scopes: config.demoScopes,
+      extra: { demo: true }
+    };
+  };
+
+  return { router: null, authenticate, discovery: false };
+}
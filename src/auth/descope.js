@@ -0,0 +1,188 @@
+// Descope session auth: bearer tokens are Descope session JWTs, and the OAuth
+// endpoints proxy the authorization code flow to the Descope project.
+import express from 'express';
+import DescopeClient from '@descope/node-sdk';
+import {
+  AuthError,
+  extractBearerToken,
+  scopesFromClaims,
+  buildProtectedResourceMetadata
+} from './bearer.js';
+import {
+  TOKEN_ERROR_CODES,
+  readTokenRequest,
+  sendTokenResponse,
+  sendTokenError
+} from './token-endpoint.js';
+
+const SCOPES_SUPPORTED = ['openid', 'profile', 'email', 'store:read', 'store:write'];
+
+// Parameters each supported grant requires (RFC 6749 Sections 4.1.3 and 6)
+const TOKEN_GRANT_PARAMETERS = {
+  authorization_code: ['grant_type', 'code', 'client_id'],
+  refresh_token: ['grant_type', 'refresh_token']
+};
+
+// Optional parameters passed through to Descope when present
+const TOKEN_FORWARDED_PARAMETERS = ['client_id', 'client_secret', 'redirect_uri', 'code_verifier', 'scope', 'resource'];
+
+const configError = () => ({
+  error: 'Server configuration error',
+  message: 'DESCOPE_PROJECT_ID not configured'
+});
+
+// OAuth Authorization Server Metadata (RFC 8414). The authorize and token
+// endpoints proxy to the Descope project, which signs the issued tokens.
+function buildAuthorizationServerMetadata(config) {
+  return {
+    issuer: config.serverUrl,
+    authorization_endpoint: `${config.serverUrl}/oauth/authorize`,
+    token_endpoint: `${config.serverUrl}/oauth/token`,
+    jwks_uri: `https://api.descope.com/v2/keys/${config.descope.projectId}`,
+    scopes_supported: SCOPES_SUPPORTED,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code', 'refresh_token'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['none', 'client_secret_post', 'client_secret_basic']
+  };
+}
+
+export function createDescopeAuth(config) {
+  const { projectId, audience } = config.descope;
+  const descopeClient = projectId ? DescopeClient({ projectId }) : null;
+  const router = express.Router();
+
+  // Verify a Descope session JWT: signature against the project JWKS, expiry and
+  // issuer are checked by the SDK, audience here when one is configured.
+  const authenticate = async (req) => {
+    if (!descopeClient) {
+      throw new AuthError('server_error', 'DESCOPE_PROJECT_ID not configured', 500);
+    }
+
+    const token = extractBearerToken(req);
+    if (!token) {
+      throw new AuthError(null, 'Bearer token required in Authorization header');
+    }
+
+    let claims;
+    try {
+      ({ token: claims } = await descopeClient.validateSession(token));
+    } catch (error) {
+      throw new AuthError('invalid_token', error.message.includes('"exp"') ? 'Token has expired' : 'Descope session validation failed');
+    }
+
+    if (audience && ![].concat(claims.aud || []).includes(audience)) {
+      throw new AuthError('invalid_token', 'Token audience is not valid for this server');
+    }
+
+    return {
+      token,
+      clientId: claims.azp || claims.sub,
+      scopes: scopesFromClaims(claims),
+      expiresAt: claims.exp,
+      extra: { claims }
+    };
+  };
+
+  // OAuth Protected Resource Metadata, also served at the path-suffixed
+  // location for the /mcp resource (RFC 9728 Section 3.1)
+  router.get(['/.well-known/oauth-protected-resource', '/.well-known/oauth-protected-resource/mcp'], (req, res) => {
+    res.json(buildProtectedResourceMetadata(config, SCOPES_SUPPORTED));
+  });
+
+  router.get('/.well-known/oauth-authorization-server', (req, res) => {
+    if (!projectId) {
+      return res.status(500).json(configError());
+    }
+    res.json(buildAuthorizationServerMetadata(config));
+  });
+
+  // OAuth Authorization endpoint
+  router.get('/oauth/authorize', (req, res) => {
+    if (!projectId) {
+      return res.status(500).json(configError());
+    }
+
+    const { client_id, redirect_uri, state, code_challenge, code_challenge_method } = req.query;
+
+    if (!client_id || !redirect_uri) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    // Redirect to Descope authentication
+    const descopeAuthUrl = `https://auth.descope.io/${projectId}/oauth2/authorize` +
+      `?client_id=${encodeURIComponent(client_id)}` +
+      `&redirect_uri=${encodeURIComponent(redirect_uri)}` +
+      `&response_type=code` +
+      `&scope=${encodeURIComponent(SCOPES_SUPPORTED.join(' '))}` +
+      (state ? `&state=${encodeURIComponent(state)}` : '') +
+      (code_challenge ? `&code_challenge=${encodeURIComponent(code_challenge)}` : '') +
+      (code_challenge_method ? `&code_challenge_method=${encodeURIComponent(code_challenge_method)}` : '');
+
+    res.redirect(302, descopeAuthUrl);
+  });
+
+  // OAuth Token endpoint (RFC 6749 Section 3.2)
+  router.post('/oauth/token', async (req, res) => {
+    if (!projectId) {
+      return sendTokenError(res, 500, 'server_error', 'DESCOPE_PROJECT_ID not configured');
+    }
+
+    let params;
+    try {
+      params = readTokenRequest(req);
+    } catch (error) {
+      return sendTokenError(res, 400, 'invalid_request', error.message);
+    }
+
+    const { grant_type } = params;
+    const required = TOKEN_GRANT_PARAMETERS[grant_type];
+
+    if (!grant_type) {
+      return sendTokenError(res, 400, 'invalid_request', 'Missing required parameter: grant_type');
+    }
+
+    if (!required) {
+      return sendTokenError(res, 400, 'unsupported_grant_type', `Grant type "${grant_type}" is not supported`);
+    }
+
+    const missing = required.filter(name => !params[name]);
+    if (missing.length > 0) {
+      return sendTokenError(res, 400, 'invalid_request', `Missing required parameter: ${missing.join(', ')}`);
+    }
+
+    const descopeParams = new URLSearchParams();
+    for (const name of [...required, ...TOKEN_FORWARDED_PARAMETERS]) {
+      if (params[name]) {
+        descopeParams.set(name, params[name]);
+      }
+    }
+
+    let tokenResponse;
+    let tokenData;
+    try {
+      tokenResponse = await fetch(`https://auth.descope.io/${projectId}/oauth2/token`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Accept': 'application/json'
+        },
+        body: descopeParams.toString()
+      });
+      tokenData = await tokenResponse.json();
+    } catch (error) {
+      console.error('Token exchange error:', error);
+      return sendTokenError(res, 502, 'server_error', 'Authorization server is unavailable');
+    }
+
+    if (!tokenResponse.ok) {
+      const error = TOKEN_ERROR_CODES.includes(tokenData.error) ? tokenData.error : 'invalid_grant';
+      const status = error === 'invalid_client' ? 401 : 400;
+      return sendTokenError(res, status, error, tokenData.error_description || 'Token request was rejected by Descope');
+    }
+
+    sendTokenResponse(res, 200, tokenData);
+  });
+
+  return { router, authenticate, discovery: true };
+}
@@ -0,0 +1,43 @@
+// Auth modes for the HTTP transports: none, demo, descope, oauth.
+// Each mode returns { router, authenticate, discovery }:
+//   router        - optional express router with the mode's public endpoints
+//   authenticate  - async (req) => MCP AuthInfo, throws AuthError when rejected
+//   discovery     - whether OAuth discovery metadata is served for clients
+import { AuthError, sendBearerChallenge } from './bearer.js';
+import { createDemoAuth } from './demo.js';
+import { createDescopeAuth } from './descope.js';
+import { createOAuthServer } from './oauth.js';
+
+export function createAuth(config) {
+  switch (config.auth) {
+    case 'none':
+      return { router: null, authenticate: null, discovery: false };
+    case 'demo':
+      return createDemoAuth(config);
+    case 'descope':
+      return createDescopeAuth(config);
+    case 'oauth':
+      return createOAuthServer(config);
+    default:
+      throw new Error(`Unknown auth mode: ${config.auth}`);
+  }
+}
+
+// Express middleware authenticating MCP requests; sets req.auth for the transport
+export function requireAuth(config, auth) {
+  return async (req, res, next) => {
+    if (!auth.authenticate || req.method === 'OPTIONS') {
+      return next();
+    }
+
+    try {
+      req.auth = await auth.authenticate(req);
+      next();
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        return next(error);
+      }
+      sendBearerChallenge(res, config, auth, error);
+    }
+  };
+}
@@ -0,0 +1,78 @@
+// JWT access tokens (RFC 9068), signed and verified with jose: RS256 (RSA
+// PKCS#1 v1.5) and ES256 (P-256 ECDSA).
+import { SignJWT, jwtVerify, generateKeyPair, exportJWK, importJWK } from 'jose';
+
+export const JWT_ALGORITHMS = ['RS256', 'ES256'];
+
+const TOKEN_TYPE = 'at+jwt';
+// Allowed clock difference between servers when checking exp and nbf
+const CLOCK_SKEW = 30;
+
+export const looksLikeJwt = (token) => /^[\w-]+\.[\w-]+\.[\w-]+$/.test(token);
+
+// A new key pair for `algorithm`, as { privateJwk, publicJwk }
+export async function generateSigningKeyPair(algorithm) {
+  const { privateKey, publicKey } = await generateKeyPair(algorithm, { extractable: true });
+  return { privateJwk: await exportJWK(privateKey), publicJwk: await exportJWK(publicKey) };
+}
+
+// A stored JWK as a key for signing or verifying with `algorithm`
+export const importSigningKey = (jwk, algorithm) => importJWK(jwk, algorithm);
+
+/**
+ * Sign `claims` with { kid, alg, privateKey } (from importSigningKey).
+ */
+export function signJwt(claims, { kid, alg, privateKey }) {
+  return new SignJWT(claims).setProtectedHeader({ alg, typ: TOKEN_TYPE, kid }).sign(privateKey);
+}
+
+// Why jose rejected a token, in words that fit an OAuth error_description
+function rejectionReason(error) {
+  switch (error.code) {
+    case 'ERR_JWT_EXPIRED':
+      return 'JWT has expired';
+    case 'ERR_JWT_CLAIM_VALIDATION_FAILED':
+      return {
+        nbf: 'JWT is not valid yet',
+        iss: 'JWT was issued by another server',
+        aud: 'JWT is meant for another audience'
+      }[error.claim] || `JWT has an invalid ${error.claim} claim`;
+    case 'ERR_JWS_SIGNATURE_VERIFICATION_FAILED':
+      return 'Invalid JWT signature';
+    case 'ERR_JOSE_ALG_NOT_ALLOWED':
+      return 'JWT signed with an unsupported algorithm';
+    default:
+      return error.code ? 'Malformed JWT' : error.message;
+  }
+}
+
+/**
+ * Verify a JWT access token and return its claims. `findKey(kid)` resolves
+ * to the { alg, publicKey } that signed it, or null. Checks the signature,
+ * typ, exp, nbf and the expected `issuer` and `audience`; throws with the
+ * reason when any of them fails.
+ */
+export async function verifyJwt(token, { findKey, issuer, audience }) {
+  // The key decides the algorithm, never the token header
+  const resolveKey = async (header) => {
+    const key = await findKey(header.kid);
+    if (!key || key.alg !== header.alg) {
+      throw new Error('JWT signed with an unknown key');
+    }
+    return key.publicKey;
+  };
+
+  try {
+    const { payload } = await jwtVerify(token, resolveKey, {
+      algorithms: JWT_ALGORITHMS,
+      typ: TOKEN_TYPE,
+      issuer,
+      audience,
+      requiredClaims: ['exp'],
+      clockTolerance: CLOCK_SKEW
+    });
+    return payload;
+  } catch (error) {
+    throw new Error(rejectionReason(error));
+  }
+}
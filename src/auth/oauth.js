@@ -0,0 +1,870 @@
+// OAuth 2.1 authorization server: dynamic client registration, PKCE
+// authorization codes, opaque or signed JWT (RFC 9068) access tokens and
+// rotating refresh tokens, with token revocation (RFC 7009) and
+// introspection (RFC 7662). Tokens are bound to the /mcp resource (RFC 8707
+// resource indicators). Clients and tokens live in the configured storage
+// (see storage.js).
+// Users sign in through a Descope social login provider; the Descope session
+// backs each token and is refreshed along with it.
+import crypto from 'crypto';
+import express from 'express';
+import DescopeClient from '@descope/node-sdk';
+import {
+  AuthError,
+  extractBearerToken,
+  scopesFromClaims,
+  buildProtectedResourceMetadata
+} from './bearer.js';
+import { readTokenRequest, sendTokenResponse, sendTokenError } from './token-endpoint.js';
+import { createStorage, hashSecret, secretMatches } from './storage.js';
+import { signJwt, verifyJwt, looksLikeJwt } from './jwt.js';
+import { createKeyRing, JWKS_MAX_AGE } from './signing-keys.js';
+import { ADMIN_SCOPE } from '../identity.js';
+
+const SCOPES_SUPPORTED = ['mcp:tools', 'mcp:resources', 'store:read', 'store:write', ADMIN_SCOPE];
+const DEFAULT_CLIENT_SCOPE = 'mcp:tools mcp:resources store:read';
+const ACCESS_TOKEN_TTL = 3600; // seconds, for opaque access tokens
+const AUTH_CODE_TTL = 10 * 60 * 1000;
+
+// The requested scopes a signed-in user is granted: the admin scope only
+// when their Descope roles give them that permission
+function grantScopes(requested, user) {
+  const permissions = scopesFromClaims(user);
+  return requested.split(' ')
+    .filter(scope => scope && (scope !== ADMIN_SCOPE || permissions.includes(ADMIN_SCOPE)))
+    .join(' ');
+}
+
+// A resource indicator in canonical form (lowercase scheme and host, no
+// trailing slash), or null when it is not an absolute URI without a fragment
+// (RFC 8707 Section 2)
+function canonicalResource(value) {
+  try {
+    const url = new URL(value);
+    return url.hash ? null : url.href.replace(/\/$/, '');
+  } catch {
+    return null;
+  }
+}
+
+// Generate secure random strings
+const generateRandomString = (length = 32) => {
+  return crypto.randomBytes(length).toString('base64url');
+};
+
+function renderLoginPage(config, requestId) {
+  const buttons = config.oauth.providers.map(provider =>
+    `<a href="/oauth/start/${provider}?request_id=${encodeURIComponent(requestId)}" class="provider-button">Continue with ${provider[0].toUpperCase()}${provider.slice(1)}</a>`
+  ).join('<br>\n            ');
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Descope Store - Sign In</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, sans-serif;
+            max-width: 600px;
+            margin: 50px auto;
+            padding: 20px;
+            background: #f5f5f5;
+        }
+        .auth-container {
+            background: white;
+            border-radius: 12px;
+            padding: 40px;
+            box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+            text-align: center;
+        }
+        .provider-button {
+            display: inline-block;
+            width: 280px;
+            margin: 10px;
+            padding: 16px 24px;
+            text-decoration: none;
+            border-radius: 8px;
+            font-weight: 600;
+            font-size: 16px;
+            color: white;
+            background: #2563eb;
+        }
+    </style>
+</head>
+<body>
+    <div class="auth-container">
+        <h1>🔐 Descope Store MCP</h1>
+        <p style="color: #666; margin-bottom: 30px;">Choose your authentication provider</p>
+        <div style="margin: 30px 0;">
+            ${buttons}
+        </div>
+        <p style="font-size: 14px; color: #888;">Project ID: ${config.descope.projectId}</p>
+    </div>
+</body>
+</html>`;
+}
+
+// `options.descopeClient` stands in for the Descope SDK client, e.g. in tests
+export function createOAuthServer(config, options = {}) {
+  const { projectId, managementKey } = config.descope;
+  const serverUrl = config.serverUrl;
+  const descopeClient = options.descopeClient || (projectId ? DescopeClient({ projectId, managementKey }) : null);
+  const router = express.Router();
+
+  const storage = createStorage(config.oauth.storage);
+  // The protected resource access tokens are issued for
+  const resource = canonicalResource(`${serverUrl}/mcp`);
+
+  // The resource named by a request's `resource` parameters (there may be
+  // several), or null when any of them is not this server. Clients that send
+  // none get tokens for this server too.
+  const readResource = (value) => {
+    const requested = [].concat(value ?? []);
+    return requested.every(item => canonicalResource(item) === resource) ? resource : null;
+  };
+  const invalidTarget = `resource must be this server's MCP endpoint, ${resource}`;
+
+  // JWT access tokens are checked without a storage lookup, so they cannot
+  // be revoked or tied to the Descope session; they are short-lived instead
+  const keyRing = config.oauth.accessTokenFormat === 'jwt'
+    ? createKeyRing(storage, {
+      algorithm: config.oauth.jwt.algorithm,
+      rotation: config.oauth.jwt.keyRotation,
+      tokenTtl: config.oauth.jwt.ttl
+    })
+    : null;
+  const accessTokenTtl = keyRing ? config.oauth.jwt.ttl : ACCESS_TOKEN_TTL;
+
+  // Storage keys. Authorization requests, codes and tokens are bearer
+  // secrets, so only their hashes are stored.
+  const keys = {
+    client: (clientId) => `client:${clientId}`,
+    request: (requestId) => `request:${hashSecret(requestId)}`,
+    code: (code) => `code:${hashSecret(code)}`,
+    access: (token) => `access:${hashSecret(token)}`,
+    refresh: (token) => `refresh:${hashSecret(token)}`,
+    family: (familyId) => `family:${familyId}`,
+    revokedFamily: (familyId) => `revoked-family:${familyId}`
+  };
+
+  // The claims of a valid JWT access token, in the shape of stored token
+  // data. Client credentials tokens have the client as their subject.
+  const readJwtAccessToken = async (token) => {
+    let claims;
+    try {
+      claims = await verifyJwt(token, { findKey: keyRing.findKey, issuer: serverUrl, audience: resource });
+    } catch (error) {
+      throw new AuthError('invalid_token', error.message);
+    }
+
+    const { sub, email, dct, tenants } = claims;
+    return {
+      type: 'access_token',
+      resource: claims.aud,
+      client_id: claims.client_id,
+      scope: claims.scope,
+      expires_at: claims.exp * 1000,
+      created_at: claims.iat * 1000,
+      descope_user: sub === claims.client_id ? null : { sub, email, dct, tenants }
+    };
+  };
+
+  // The data behind a usable access token; throws AuthError otherwise
+  const findAccessToken = async (token) => {
+    if (keyRing && looksLikeJwt(token)) {
+      return readJwtAccessToken(token);
+    }
+
+    // Validate access token per OAuth 2.1 Section 5.2; expired tokens are
+    // gone from storage
+    const key = keys.access(token);
+    const tokenData = await storage.get(key);
+    if (!tokenData) {
+      throw new AuthError('invalid_token', 'Token not found, expired or revoked');
+    }
+
+    // Tokens issued after a user login are only as valid as the Descope session
+    if (tokenData.descope_session_jwt) {
+      try {
+        await descopeClient.validateSession(tokenData.descope_session_jwt);
+      } catch (error) {
+        await storage.delete(key);
+        throw new AuthError('invalid_token', 'Descope session validation failed');
+      }
+    }
+
+    return tokenData;
+  };
+
+  // A refresh token's data, or null when unknown or expired
+  const findRefreshToken = (token) => storage.get(keys.refresh(token));
+
+  const authenticate = async (req) => {
+    const token = extractBearerToken(req);
+    if (!token) {
+      throw new AuthError(null, 'Bearer token required in Authorization header');
+    }
+
+    const tokenData = await findAccessToken(token);
+    // Tokens meant for another resource must not be accepted here, or they
+    // could be passed through from elsewhere (RFC 8707, MCP authorization)
+    if (tokenData.resource !== resource) {
+      throw new AuthError('invalid_token', 'Token was not issued for this server');
+    }
+    return {
+      token,
+      clientId: tokenData.client_id,
+      scopes: tokenData.scope.split(' '),
+      expiresAt: Math.floor(tokenData.expires_at / 1000),
+      extra: { user: tokenData.descope_user || null }
+    };
+  };
+
+  // A family outlives every token issued into it so far
+  const familyTtl = Math.max(config.oauth.refreshTokenTtl, accessTokenTtl) * 1000;
+
+  // Record a token as part of a family, so revoking the family finds it.
+  // Appends are atomic, so concurrent issues never drop each other's tokens.
+  // Resolves to false, with the token deleted, when the family was revoked
+  // meanwhile.
+  const addToFamily = async (familyId, key, expiresAt) => {
+    await storage.append(keys.family(familyId), { key, expires_at: expiresAt }, Date.now() + familyTtl);
+    if (await storage.get(keys.revokedFamily(familyId))) {
+      await storage.delete(key);
+      return false;
+    }
+    return true;
+  };
+
+  // A signed JWT access token (RFC 9068) carrying the caller's identity
+  const issueJwtAccessToken = async (data) => {
+    const now = Math.floor(Date.now() / 1000);
+    const user = data.descope_user;
+    return signJwt({
+      iss: serverUrl,
+      aud: data.resource,
+      sub: user?.sub || data.client_id,
+      client_id: data.client_id,
+      scope: data.scope,
+      iat: now,
+      exp: now + accessTokenTtl,
+      jti: generateRandomString(16),
+      ...(user && { email: user.email, dct: user.dct, tenants: user.tenants })
+    }, await keyRing.signingKey());
+  };
+
+  const issueAccessToken = async (data) => {
+    if (keyRing) {
+      return issueJwtAccessToken(data);
+    }
+
+    const accessToken = `mcp_at_${generateRandomString(32)}`;
+    const key = keys.access(accessToken);
+    const expiresAt = Date.now() + (ACCESS_TOKEN_TTL * 1000);
+    await storage.set(key, {
+      ...data,
+      type: 'access_token',
+      token_type: 'Bearer',
+      expires_at: expiresAt,
+      created_at: Date.now()
+    }, expiresAt);
+    if (data.family_id && !await addToFamily(data.family_id, key, expiresAt)) {
+      return null;
+    }
+    return accessToken;
+  };
+
+  // Refresh tokens rotate on every use. The tokens descended from one login
+  // form a family, and presenting a token that was already rotated revokes
+  // the whole family: either the client or an attacker holds a stolen copy
+  // (OAuth 2.1 Section 4.3.1).
+  const issueRefreshToken = async (data, familyId) => {
+    const refreshToken = `mcp_rt_${generateRandomString(32)}`;
+    const key = keys.refresh(refreshToken);
+    const expiresAt = Date.now() + (config.oauth.refreshTokenTtl * 1000);
+    await storage.set(key, {
+      ...data,
+      type: 'refresh_token',
+      family_id: familyId,
+      expires_at: expiresAt,
+      created_at: Date.now()
+    }, expiresAt);
+    return await addToFamily(familyId, key, expiresAt) ? refreshToken : null;
+  };
+
+  // Drop every access and refresh token of a family. The revocation is
+  // recorded first, so a token added at the same time is either in the list
+  // taken here or deleted again by addToFamily.
+  const revokeFamily = async (familyId) => {
+    await storage.set(keys.revokedFamily(familyId), true, Date.now() + familyTtl);
+    const tokens = await storage.takeList(keys.family(familyId));
+    await Promise.all(tokens.map(token => storage.delete(token.key)));
+  };
+
+  // The registered client behind client_id/client_secret (body or Basic
+  // auth), or null. Public clients (token_endpoint_auth_method "none") are
+  // identified by client_id alone unless `confidential` is required.
+  const authenticateClient = async ({ client_id, client_secret }, { confidential = false } = {}) => {
+    const client = client_id ? await storage.get(keys.client(client_id)) : null;
+    if (!client) {
+      return null;
+    }
+    if (client.token_endpoint_auth_method === 'none' && !client_secret) {
+      return confidential ? null : client;
+    }
+    return secretMatches(client_secret, client.client_secret_hash) ? client : null;
+  };
+
+  // Token response for a signed-in user. `grant` holds the client, scope,
+  // resource and Descope session; `accessScope` may narrow the access
+  // token's scope. Resolves to null when the family was revoked meanwhile.
+  const issueUserTokens = async (grant, familyId, accessScope = grant.scope) => {
+    const accessToken = await issueAccessToken({ ...grant, scope: accessScope, family_id: familyId });
+    const refreshToken = await issueRefreshToken(grant, familyId);
+    if (!accessToken || !refreshToken) {
+      return null;
+    }
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: accessTokenTtl,
+      refresh_token: refreshToken,
+      scope: accessScope
+    };
+  };
+
+  // A fresh Descope session from the grant's refresh JWT, so the tokens
+  // outlive the original session JWT. Grants without one keep their session.
+  const refreshDescopeSession = async (grant) => {
+    if (!grant.descope_refresh_jwt) {
+      return grant;
+    }
+    const refreshed = await descopeClient.refreshSession(grant.descope_refresh_jwt);
+    return {
+      ...grant,
+      descope_session_jwt: refreshed.jwt,
+      descope_refresh_jwt: refreshed.refreshJwt || grant.descope_refresh_jwt,
+      descope_user: refreshed.token
+    };
+  };
+
+  // OAuth 2.1 Authorization Server Metadata (RFC 8414)
+  router.get('/.well-known/oauth-authorization-server', (req, res) => {
+    res.json({
+      issuer: serverUrl,
+      authorization_endpoint: `${serverUrl}/oauth/authorize`,
+      token_endpoint: `${serverUrl}/oauth/token`,
+      registration_endpoint: `${serverUrl}/oauth/register`,
+      revocation_endpoint: `${serverUrl}/oauth/revoke`,
+      introspection_endpoint: `${serverUrl}/oauth/introspect`,
+      ...(keyRing && { jwks_uri: `${serverUrl}/.well-known/jwks.json` }),
+      scopes_supported: SCOPES_SUPPORTED,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code', 'refresh_token', 'client_credentials'],
+      code_challenge_methods_supported: ['S256'], // PKCE required
+      token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic', 'none'],
+      revocation_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic', 'none'],
+      introspection_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic']
+    });
+  });
+
+  router.get(['/.well-known/oauth-protected-resource', '/.well-known/oauth-protected-resource/mcp'], (req, res) => {
+    res.json(buildProtectedResourceMetadata(config, SCOPES_SUPPORTED));
+  });
+
+  // Public keys for JWT access tokens (RFC 7517), for resource servers that
+  // validate tokens themselves
+  if (keyRing) {
+    router.get('/.well-known/jwks.json', async (req, res) => {
+      res.setHeader('Cache-Control', `public, max-age=${JWKS_MAX_AGE}`);
+      res.json(await keyRing.jwks());
+    });
+  }
+
+  // Dynamic Client Registration (RFC 7591)
+  router.post('/oauth/register', async (req, res) => {
+    const {
+      client_name,
+      redirect_uris = [`${serverUrl}/oauth/callback`],
+      grant_types = ['authorization_code', 'refresh_token'],
+      response_types = ['code'],
+      scope = DEFAULT_CLIENT_SCOPE,
+      token_endpoint_auth_method = 'client_secret_basic'
+    } = req.body || {};
+
+    if (!['client_secret_basic', 'client_secret_post', 'none'].includes(token_endpoint_auth_method)) {
+      return res.status(400).json({
+        error: 'invalid_client_metadata',
+        error_description: 'token_endpoint_auth_method must be client_secret_basic, client_secret_post or none'
+      });
+    }
+
+    // Redirect URIs must be HTTPS or localhost HTTP
+    const validRedirectUris = [].concat(redirect_uris).filter(uri => {
+      try {
+        const url = new URL(uri);
+        return url.protocol === 'https:' ||
+               (url.protocol === 'http:' && ['localhost', '127.0.0.1'].includes(url.hostname));
+      } catch {
+        return false;
+      }
+    });
+
+    if (validRedirectUris.length === 0) {
+      return res.status(400).json({
+        error: 'invalid_redirect_uri',
+        error_description: 'Redirect URIs must be HTTPS or localhost HTTP'
+      });
+    }
+
+    const clientSecret = `mcp_sk_${generateRandomString(32)}`;
+    const clientData = {
+      client_id: `mcp_${generateRandomString(16)}`,
+      client_secret_hash: hashSecret(clientSecret),
+      client_name: client_name || 'MCP Client',
+      redirect_uris: validRedirectUris,
+      grant_types,
+      response_types,
+      scope,
+      token_endpoint_auth_method,
+      created_at: Date.now()
+    };
+
+    // Registered clients do not expire
+    await storage.set(keys.client(clientData.client_id), clientData);
+
+    res.status(201).json({
+      client_id: clientData.client_id,
+      client_secret: clientSecret,
+      client_name: clientData.client_name,
+      redirect_uris: validRedirectUris,
+      grant_types,
+      response_types,
+      scope,
+      token_endpoint_auth_method
+    });
+  });
+
+  // OAuth 2.1 Authorization Endpoint: validate the request, then sign the user in
+  router.get('/oauth/authorize', async (req, res) => {
+    const {
+      client_id,
+      redirect_uri,
+      response_type,
+      state,
+      code_challenge,
+      code_challenge_method = 'S256',
+      resource: requestedResource
+    } = req.query;
+
+    // Until the client and redirect_uri are known good, errors are shown
+    // here rather than sent to a redirect_uri that may not be the client's
+    if (!client_id || !redirect_uri) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'Missing required parameters: client_id, redirect_uri'
+      });
+    }
+
+    const client = await storage.get(keys.client(client_id));
+    if (!client) {
+      return res.status(400).json({
+        error: 'invalid_client',
+        error_description: 'Client not found'
+      });
+    }
+
+    if (!client.redirect_uris.includes(redirect_uri)) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'Invalid redirect_uri'
+      });
+    }
+
+    // From here on errors go back to the client (RFC 6749 Section 4.1.2.1)
+    const redirectError = (error, description) => {
+      const redirectUrl = new URL(redirect_uri);
+      redirectUrl.searchParams.set('error', error);
+      redirectUrl.searchParams.set('error_description', description);
+      if (state) {
+        redirectUrl.searchParams.set('state', state);
+      }
+      return res.redirect(redirectUrl.toString());
+    };
+
+    if (response_type !== 'code') {
+      return redirectError('unsupported_response_type', 'response_type must be code');
+    }
+
+    // PKCE is REQUIRED per OAuth 2.1
+    if (!code_challenge) {
+      return redirectError('invalid_request', 'code_challenge is required (PKCE)');
+    }
+    if (code_challenge_method !== 'S256') {
+      return redirectError('invalid_request', 'code_challenge_method must be S256');
+    }
+
+    const boundResource = readResource(requestedResource);
+    if (!boundResource) {
+      return redirectError('invalid_target', invalidTarget);
+    }
+
+    const requestId = generateRandomString(16);
+    const expiresAt = Date.now() + AUTH_CODE_TTL;
+    await storage.set(keys.request(requestId), {
+      client_id,
+      redirect_uri,
+      resource: boundResource,
+      scope: req.query.scope || client.scope,
+      state,
+      code_challenge,
+      expires_at: expiresAt
+    }, expiresAt);
+
+    res.redirect(`/login?request_id=${encodeURIComponent(requestId)}`);
+  });
+
+  // Provider chooser for a pending authorization request
+  router.get('/login', async (req, res) => {
+    const { request_id } = req.query;
+    if (!request_id || !await storage.get(keys.request(request_id))) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'Unknown or expired authorization request'
+      });
+    }
+    res.send(renderLoginPage(config, request_id));
+  });
+
+  // Start the Descope social login for a pending authorization request
+  router.get('/oauth/start/:provider', async (req, res) => {
+    const { provider } = req.params;
+    const { request_id } = req.query;
+
+    if (!config.oauth.providers.includes(provider) || !request_id || !await storage.get(keys.request(request_id))) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'Unknown provider or authorization request'
+      });
+    }
+
+    try {
+      const callbackUrl = `${serverUrl}/oauth/callback?request_id=${encodeURIComponent(request_id)}`;
+      const urlResponse = await descopeClient.oauth.start[provider](callbackUrl);
+      if (!urlResponse.ok) {
+        throw new Error(urlResponse.error?.errorDescription || 'OAuth start failed');
+      }
+      res.redirect(urlResponse.data.url);
+    } catch (error) {
+      console.error(`OAuth ${provider} start error:`, error);
+      res.status(500).json({
+        error: 'server_error',
+        error_description: `Failed to start ${provider} login with Descope`
+      });
+    }
+  });
+
+  // Descope redirects here after login; issue our authorization code to the client
+  router.get('/oauth/callback', async (req, res) => {
+    const { code, request_id } = req.query;
+
+    const authRequest = request_id ? await storage.take(keys.request(request_id)) : null;
+
+    if (!code || !authRequest) {
+      return res.status(400).json({
+        error: 'invalid_request',
+        error_description: 'Missing code or unknown authorization request'
+      });
+    }
+
+    try {
+      const exchangeResponse = await descopeClient.oauth.exchange(code);
+      if (!exchangeResponse.ok) {
+        throw new Error(exchangeResponse.error?.errorDescription || 'OAuth exchange failed');
+      }
+
+      const { sessionJwt, refreshJwt } = exchangeResponse.data;
+      const { token: user } = await descopeClient.validateSession(sessionJwt);
+
+      const authCode = generateRandomString(16);
+      const expiresAt = Date.now() + AUTH_CODE_TTL;
+      await storage.set(keys.code(authCode), {
+        client_id: authRequest.client_id,
+        redirect_uri: authRequest.redirect_uri,
+        resource: authRequest.resource,
+        scope: grantScopes(authRequest.scope, user),
+        code_challenge: authRequest.code_challenge,
+        descope_session_jwt: sessionJwt,
+        descope_refresh_jwt: refreshJwt,
+        descope_user: user,
+        expires_at: expiresAt
+      }, expiresAt);
+
+      const redirectUrl = new URL(authRequest.redirect_uri);
+      redirectUrl.searchParams.set('code', authCode);
+      if (authRequest.state) {
+        redirectUrl.searchParams.set('state', authRequest.state);
+      }
+
+      res.redirect(redirectUrl.toString());
+    } catch (error) {
+      console.error('Descope OAuth callback error:', error);
+      res.status(500).json({
+        error: 'server_error',
+        error_description: 'Failed to process OAuth callback with Descope'
+      });
+    }
+  });
+
+  // OAuth 2.1 Token Endpoint
+  router.post('/oauth/token', async (req, res) => {
+    let params;
+    try {
+      params = readTokenRequest(req);
+    } catch (error) {
+      return sendTokenError(res, 400, 'invalid_request', error.message);
+    }
+
+    const { grant_type, code, redirect_uri, client_id, code_verifier, refresh_token, scope } = params;
+
+    // Only this server's resource can be named, and it must be the one the
+    // code or refresh token was granted for
+    const requestedResource = readResource(params.resource);
+    if (!requestedResource) {
+      return sendTokenError(res, 400, 'invalid_target', invalidTarget);
+    }
+
+    if (grant_type === 'authorization_code') {
+      // Confidential clients must send their secret; public clients only
+      // identify themselves and rely on PKCE
+      const client = await authenticateClient(params);
+      if (!client) {
+        return sendTokenError(res, 401, 'invalid_client', 'Invalid client credentials');
+      }
+
+      // Authorization codes are single use, so the first attempt spends it
+      const authData = code ? await storage.take(keys.code(code)) : null;
+      if (!authData || authData.client_id !== client.client_id) {
+        return sendTokenError(res, 400, 'invalid_grant', 'Invalid or expired authorization code');
+      }
+
+      if (redirect_uri && redirect_uri !== authData.redirect_uri) {
+        return sendTokenError(res, 400, 'invalid_grant', 'redirect_uri does not match the authorization request');
+      }
+
+      if (!code_verifier) {
+        return sendTokenError(res, 400, 'invalid_request', 'code_verifier required for PKCE');
+      }
+
+      const expectedChallenge = crypto
+        .createHash('sha256')
+        .update(code_verifier)
+        .digest('base64url');
+
+      if (expectedChallenge !== authData.code_challenge) {
+        return sendTokenError(res, 400, 'invalid_grant', 'Invalid code_verifier');
+      }
+
+      if (requestedResource !== authData.resource) {
+        return sendTokenError(res, 400, 'invalid_target', 'resource does not match the authorization request');
+      }
+
+      return sendTokenResponse(res, 200, await issueUserTokens({
+        client_id: authData.client_id,
+        resource: authData.resource,
+        scope: authData.scope,
+        descope_session_jwt: authData.descope_session_jwt,
+        descope_refresh_jwt: authData.descope_refresh_jwt,
+        descope_user: authData.descope_user
+      }, generateRandomString(16)));
+    }
+
+    if (grant_type === 'refresh_token') {
+      if (!refresh_token) {
+        return sendTokenError(res, 400, 'invalid_request', 'refresh_token is required');
+      }
+
+      const refreshData = await findRefreshToken(refresh_token);
+      if (!refreshData) {
+        return sendTokenError(res, 400, 'invalid_grant', 'Invalid or expired refresh token');
+      }
+
+      // Refresh tokens are bound to the client they were issued to, which
+      // must authenticate unless it is a public client
+      const client = await authenticateClient(params);
+      if (!client) {
+        return sendTokenError(res, 401, 'invalid_client', 'Invalid client credentials');
+      }
+      if (refreshData.client_id !== client.client_id) {
+        return sendTokenError(res, 400, 'invalid_grant', 'Refresh token was issued to another client');
+      }
+
+      const rejectReuse = async () => {
+        await revokeFamily(refreshData.family_id);
+        console.error(`⚠️ Rotated refresh token reused by client ${client.client_id}; revoked all of its tokens from that login`);
+        return sendTokenError(res, 400, 'invalid_grant', 'Refresh token was already used');
+      };
+      if (refreshData.rotated_at) {
+        return rejectReuse();
+      }
+
+      // Refresh tokens from before resource binding were all for this server
+      const grantedResource = refreshData.resource || resource;
+      if (requestedResource !== grantedResource) {
+        return sendTokenError(res, 400, 'invalid_target', 'resource does not match the original grant');
+      }
+
+      // A narrower scope applies to the new access token only (RFC 6749 Section 6)
+      const granted = refreshData.scope.split(' ');
+      const requested = scope ? scope.split(' ').filter(Boolean) : granted;
+      if (requested.some(item => !granted.includes(item))) {
+        return sendTokenError(res, 400, 'invalid_scope', 'Requested scope exceeds the original grant');
+      }
+
+      // Claim the token before the Descope call. take() is atomic, so of
+      // concurrent refreshes with one token only the first gets it back
+      // unrotated; the rest are reuse. It is stored again as rotated until
+      // it expires, to recognise later reuse.
+      const claimed = await storage.take(keys.refresh(refresh_token));
+      if (!claimed || claimed.rotated_at) {
+        return rejectReuse();
+      }
+      await storage.set(keys.refresh(refresh_token), { ...claimed, rotated_at: Date.now() }, claimed.expires_at);
+
+      let grant;
+      try {
+        grant = await refreshDescopeSession({
+          client_id: refreshData.client_id,
+          resource: grantedResource,
+          scope: refreshData.scope,
+          descope_session_jwt: refreshData.descope_session_jwt,
+          descope_refresh_jwt: refreshData.descope_refresh_jwt,
+          descope_user: refreshData.descope_user
+        });
+      } catch (error) {
+        console.error('Descope session refresh failed:', error.message);
+        await revokeFamily(refreshData.family_id);
+        return sendTokenError(res, 400, 'invalid_grant', 'The Descope session has ended; sign in again');
+      }
+
+      // Re-check the admin scope against the user's current permissions
+      grant.scope = grantScopes(grant.scope, grant.descope_user);
+      const accessScope = requested.filter(item => grant.scope.split(' ').includes(item)).join(' ');
+      const tokens = await issueUserTokens(grant, refreshData.family_id, accessScope);
+      if (!tokens) {
+        return sendTokenError(res, 400, 'invalid_grant', 'This login was revoked; sign in again');
+      }
+      return sendTokenResponse(res, 200, tokens);
+    }
+
+    if (grant_type === 'client_credentials') {
+      // Machine-to-machine authentication
+      const client = await authenticateClient(params, { confidential: true });
+      if (!client) {
+        return sendTokenError(res, 401, 'invalid_client', 'Invalid client credentials');
+      }
+
+      const accessToken = await issueAccessToken({ client_id, resource: requestedResource, scope: DEFAULT_CLIENT_SCOPE });
+
+      return sendTokenResponse(res, 200, {
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: accessTokenTtl,
+        scope: DEFAULT_CLIENT_SCOPE
+      });
+    }
+
+    sendTokenError(res, 400, 'unsupported_grant_type', 'Only authorization_code, refresh_token and client_credentials are supported');
+  });
+
+  // Token Revocation (RFC 7009). Clients may only revoke their own tokens;
+  // revoking a refresh token also revokes every token from the same login.
+  router.post('/oauth/revoke', async (req, res) => {
+    let params;
+    try {
+      params = readTokenRequest(req);
+    } catch (error) {
+      return sendTokenError(res, 400, 'invalid_request', error.message);
+    }
+
+    const client = await authenticateClient(params);
+    if (!client) {
+      return sendTokenError(res, 401, 'invalid_client', 'Invalid client credentials');
+    }
+    if (!params.token) {
+      return sendTokenError(res, 400, 'invalid_request', 'token is required');
+    }
+    if (keyRing && looksLikeJwt(params.token)) {
+      return sendTokenError(res, 400, 'unsupported_token_type',
+        `JWT access tokens cannot be revoked and expire within ${accessTokenTtl} seconds; revoke the refresh token to end the login`);
+    }
+
+    // Access and refresh tokens are told apart by their storage keys, so
+    // token_type_hint is not needed
+    const refreshData = await findRefreshToken(params.token);
+    const tokenData = refreshData || await storage.get(keys.access(params.token));
+
+    // Unknown and expired tokens need no revoking (RFC 7009 Section 2.2)
+    if (!tokenData) {
+      return res.status(200).end();
+    }
+    if (tokenData.client_id !== client.client_id) {
+      return sendTokenError(res, 400, 'unauthorized_client', 'Token was issued to another client');
+    }
+
+    if (refreshData) {
+      await revokeFamily(refreshData.family_id);
+      await storage.delete(keys.refresh(params.token));
+    } else {
+      await storage.delete(keys.access(params.token));
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).end();
+  });
+
+  // Token Introspection (RFC 7662) for resource servers and gateways, which
+  // authenticate as confidential clients. Inactive tokens reveal nothing.
+  router.post('/oauth/introspect', async (req, res) => {
+    let params;
+    try {
+      params = readTokenRequest(req);
+    } catch (error) {
+      return sendTokenError(res, 400, 'invalid_request', error.message);
+    }
+
+    if (!await authenticateClient(params, { confidential: true })) {
+      return sendTokenError(res, 401, 'invalid_client', 'Invalid client credentials');
+    }
+    if (!params.token) {
+      return sendTokenError(res, 400, 'invalid_request', 'token is required');
+    }
+
+    // Rotated refresh tokens are no longer active
+    const refreshData = await findRefreshToken(params.token);
+    const tokenData = refreshData
+      ? (refreshData.rotated_at ? null : refreshData)
+      : await findAccessToken(params.token).catch(error => {
+        if (error instanceof AuthError) return null;
+        throw error;
+      });
+
+    if (!tokenData) {
+      return sendTokenResponse(res, 200, { active: false });
+    }
+
+    const user = tokenData.descope_user;
+    sendTokenResponse(res, 200, {
+      active: true,
+      ...(tokenData.resource && { aud: tokenData.resource }),
+      scope: tokenData.scope,
+      client_id: tokenData.client_id,
+      token_type: tokenData.type === 'access_token' ? 'Bearer' : 'refresh_token',
+      exp: Math.floor(tokenData.expires_at / 1000),
+      iat: Math.floor(tokenData.created_at / 1000),
+      iss: serverUrl,
+      ...(user && { sub: user.sub, username: user.email })
+    });
+  });
+
+  return { router, authenticate, discovery: true };
+}
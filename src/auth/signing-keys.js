@@ -0,0 +1,110 @@
+// Signing keys for JWT access tokens. The keys live in the OAuth storage
+// (see storage.js), so every server instance signs and verifies with the
+// same set and publishes the same JWKS.
+//
+// Rotation: once the newest key is `rotation` seconds old a new key is
+// created. It is published straight away but only starts signing after
+// JWKS_MAX_AGE, so verifiers that cached the JWKS know it before they see
+// it. A retired key stays published until every token it signed has
+// expired.
+//
+// Keys are only ever appended to a stored list, which is atomic, so when
+// instances rotate at the same time every new key is kept and published;
+// keys that are no longer needed are left out when the list is read. The
+// list expires once no instance has rotated for longer than any key is
+// needed.
+import crypto from 'crypto';
+import { generateSigningKeyPair, importSigningKey } from './jwt.js';
+
+// How long clients may cache the JWKS, in seconds
+export const JWKS_MAX_AGE = 5 * 60;
+
+const STORAGE_KEY = 'signing-keys:list';
+// How long this instance reuses the key set it read from storage, and the
+// least time between reloads for an unknown kid
+const CACHE_TTL = 60 * 1000;
+const RELOAD_INTERVAL = 10 * 1000;
+
+/**
+ * The key ring for `algorithm` (RS256 or ES256), rotated every `rotation`
+ * seconds, for tokens that live `tokenTtl` seconds.
+ */
+export function createKeyRing(storage, { algorithm, rotation, tokenTtl }) {
+  let cache = null;
+  // kid -> imported keys, so JWKs are imported once
+  const imported = new Map();
+  // How long a retired key stays published after its successor appears
+  const retirement = (JWKS_MAX_AGE + tokenTtl + 60) * 1000;
+
+  // A key is needed until a successor has been signing for longer than tokens live
+  const stillNeeded = (key, index, keys) => {
+    const successor = keys[index + 1];
+    return !successor || successor.created_at + retirement > Date.now();
+  };
+
+  const load = async () => {
+    const keys = (await storage.getList(STORAGE_KEY)).sort((a, b) => a.created_at - b.created_at);
+    cache = { keys: keys.filter(stillNeeded), loadedAt: Date.now() };
+    return cache.keys;
+  };
+  const loaded = async () => cache && Date.now() - cache.loadedAt < CACHE_TTL ? cache.keys : load();
+
+  const importKeys = async (key) => {
+    if (!imported.has(key.kid)) {
+      imported.set(key.kid, {
+        privateKey: await importSigningKey(key.private_jwk, key.alg),
+        publicKey: await importSigningKey(key.public_jwk, key.alg)
+      });
+    }
+    return imported.get(key.kid);
+  };
+
+  // Publish a new key, then read back the keys of every instance
+  const addKey = async () => {
+    const { privateJwk, publicJwk } = await generateSigningKeyPair(algorithm);
+    await storage.append(STORAGE_KEY, {
+      kid: crypto.randomBytes(12).toString('base64url'),
+      alg: algorithm,
+      created_at: Date.now(),
+      private_jwk: privateJwk,
+      public_jwk: publicJwk
+    }, Date.now() + rotation * 1000 + retirement);
+    return load();
+  };
+
+  return {
+    // The key to sign new tokens with: { kid, alg, privateKey }
+    async signingKey() {
+      let keys = (await loaded()).filter(key => key.alg === algorithm);
+      const newest = keys[keys.length - 1];
+      if (!newest || Date.now() - newest.created_at >= rotation * 1000) {
+        // Another instance may have rotated already
+        keys = (await load()).filter(key => key.alg === algorithm);
+        const latest = keys[keys.length - 1];
+        if (!latest || Date.now() - latest.created_at >= rotation * 1000) {
+          keys = (await addKey()).filter(key => key.alg === algorithm);
+        }
+      }
+
+      // The newest key that has been published long enough, or the only one
+      const ready = keys.filter(key => Date.now() - key.created_at >= JWKS_MAX_AGE * 1000);
+      const key = ready[ready.length - 1] || keys[keys.length - 1];
+      return { kid: key.kid, alg: key.alg, privateKey: (await importKeys(key)).privateKey };
+    },
+
+    // The published key `kid`, as { alg, publicKey }, or null
+    async findKey(kid) {
+      let key = (await loaded()).find(candidate => candidate.kid === kid);
+      if (!key && Date.now() - cache.loadedAt >= RELOAD_INTERVAL) {
+        key = (await load()).find(candidate => candidate.kid === kid);
+      }
+      return key ? { alg: key.alg, publicKey: (await importKeys(key)).publicKey } : null;
+    },
+
+    // The public keys as a JWK Set (RFC 7517)
+    async jwks() {
+      const keys = await loaded();
+      return { keys: keys.map(key => ({ ...key.public_jwk, kid: key.kid, alg: key.alg, use: 'sig' })) };
+    }
+  };
+}
@@ -0,0 +1,257 @@
+// Storage for the OAuth server's clients, authorization requests, codes and
+// tokens. Every backend keeps JSON values under string keys, each with an
+// optional expiry time (ms since the epoch):
+//
+//   memory - a Map in this process; everything is lost on restart
+//   file   - a JSON file rewritten after each change, for a single server
+//            instance that should survive restarts
+//   redis  - a Redis-compatible server (6.2 or later), shared by every
+//            server instance, through ioredis
+//
+// Backends share one async interface: get(key), set(key, value, expiresAt),
+// take(key) (get and delete, for single-use values), delete(key), lists
+// through append(key, item, expiresAt), getList(key) and takeList(key), and
+// close().
+// take, append and takeList are atomic, also between server instances
+// sharing Redis, so concurrent requests cannot both claim a value or lose
+// each other's list items. Expired entries are never returned; the memory
+// and file backends sweep them every SWEEP_INTERVAL, and Redis expires them
+// itself.
+//
+// Callers hash the tokens and secrets they issue before using them in keys
+// (see hashSecret), so those cannot be read back. Stored values are not
+// encrypted, though: grants keep the user's Descope session and refresh JWTs
+// and the key ring keeps private signing keys, all usable as they are, so
+// the file and the Redis database must be protected like credentials.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import Redis from 'ioredis';
+
+export const STORAGE_TYPES = ['memory', 'file', 'redis'];
+
+const SWEEP_INTERVAL = 60 * 1000;
+// Redis commands fail after REDIS_TIMEOUT instead of waiting on a server
+// that stopped answering; reconnects back off up to REDIS_MAX_RECONNECT_DELAY
+const REDIS_TIMEOUT = 5000;
+const REDIS_MAX_RECONNECT_DELAY = 5000;
+
+// One-way hash of a token or secret, for keys and stored values
+export const hashSecret = (value) => crypto.createHash('sha256').update(String(value)).digest('base64url');
+
+// Constant-time check of `value` against a hashSecret() hash
+export function secretMatches(value, hash) {
+  if (typeof value !== 'string' || typeof hash !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(hash);
+  const actual = Buffer.from(hashSecret(value));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+const isExpired = (entry) => entry.expiresAt !== null && entry.expiresAt <= Date.now();
+
+// Memory and file backends: `entries` is key -> { value, expiresAt };
+// `changed` runs after every write
+function createMapStorage(entries, changed = () => {}) {
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (isExpired(entry)) {
+      entries.delete(key);
+      changed();
+      return null;
+    }
+    return structuredClone(entry.value);
+  };
+
+  const take = (key) => {
+    const value = read(key);
+    if (entries.delete(key)) changed();
+    return value;
+  };
+
+  const sweep = () => {
+    let removed = 0;
+    for (const [key, entry] of entries) {
+      if (isExpired(entry)) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    if (removed > 0) changed();
+  };
+  const sweeper = setInterval(sweep, SWEEP_INTERVAL);
+  sweeper.unref();
+
+  return {
+    async get(key) {
+      return read(key);
+    },
+
+    async set(key, value, expiresAt = null) {
+      entries.set(key, { value: structuredClone(value), expiresAt });
+      changed();
+    },
+
+    async take(key) {
+      return take(key);
+    },
+
+    async delete(key) {
+      if (entries.delete(key)) changed();
+    },
+
+    // Add `item` to the list at `key`, which then expires at `expiresAt`
+    async append(key, item, expiresAt = null) {
+      entries.set(key, { value: [...(read(key) || []), structuredClone(item)], expiresAt });
+      changed();
+    },
+
+    // The list at `key`; [] when there is none
+    async getList(key) {
+      return read(key) || [];
+    },
+
+    // The list at `key`, deleted; [] when there is none
+    async takeList(key) {
+      return take(key) || [];
+    },
+
+    async close() {
+      clearInterval(sweeper);
+    }
+  };
+}
+
+function createFileStorage(file) {
+  const resolved = path.resolve(file);
+  const entries = new Map();
+
+  if (fs.existsSync(resolved)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+      for (const [key, entry] of Object.entries(data.entries || {})) {
+        entries.set(key, entry);
+      }
+    } catch (error) {
+      throw new Error(`Invalid OAuth storage file ${resolved}: ${error.message}`);
+    }
+  }
+
+  // Writes are batched: every change in one tick is saved together, through
+  // a temporary file so a crash never leaves a truncated file behind
+  let scheduled = false;
+  let writing = Promise.resolve();
+  const save = () => {
+    scheduled = false;
+    const json = JSON.stringify({ entries: Object.fromEntries(entries) });
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(resolved), { recursive: true });
+      const temporary = `${resolved}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temporary, json, { mode: 0o600 });
+      await fs.promises.rename(temporary, resolved);
+    }).catch(error => {
+      console.error(`⚠️ Failed to save OAuth storage to ${resolved}:`, error.message);
+    });
+  };
+  const changed = () => {
+    if (!scheduled) {
+      scheduled = true;
+      setImmediate(save);
+    }
+  };
+
+  const storage = createMapStorage(entries, changed);
+  return {
+    ...storage,
+    async close() {
+      await storage.close();
+      if (scheduled) save();
+      await writing;
+    }
+  };
+}
+
+function createRedisStorage({ url, keyPrefix }) {
+  const client = new Redis(url, {
+    keyPrefix,
+    lazyConnect: true,
+    connectTimeout: REDIS_TIMEOUT,
+    commandTimeout: REDIS_TIMEOUT,
+    // Fail commands during an outage rather than queueing them indefinitely
+    maxRetriesPerRequest: 1,
+    retryStrategy: (attempt) => Math.min(attempt * 200, REDIS_MAX_RECONNECT_DELAY)
+  });
+  client.on('error', (error) => {
+    console.error('⚠️ OAuth Redis storage error:', error.message);
+  });
+  const parse = (raw) => raw === null ? null : JSON.parse(raw);
+  // Results of a MULTI/EXEC transaction, throwing the first failed command's error
+  const exec = async (transaction) => (await transaction.exec()).map(([error, result]) => {
+    if (error) throw error;
+    return result;
+  });
+
+  return {
+    async get(key) {
+      return parse(await client.get(key));
+    },
+
+    async set(key, value, expiresAt = null) {
+      if (expiresAt === null) {
+        await client.set(key, JSON.stringify(value));
+        return;
+      }
+      const ttl = Math.ceil(expiresAt - Date.now());
+      if (ttl <= 0) {
+        await client.del(key);
+        return;
+      }
+      await client.set(key, JSON.stringify(value), 'PX', ttl);
+    },
+
+    async take(key) {
+      return parse(await client.getdel(key));
+    },
+
+    async delete(key) {
+      await client.del(key);
+    },
+
+    async append(key, item, expiresAt = null) {
+      const transaction = client.multi().rpush(key, JSON.stringify(item));
+      await exec(expiresAt === null ? transaction.persist(key) : transaction.pexpireat(key, Math.ceil(expiresAt)));
+    },
+
+    async getList(key) {
+      return (await client.lrange(key, 0, -1)).map(item => JSON.parse(item));
+    },
+
+    async takeList(key) {
+      const [items] = await exec(client.multi().lrange(key, 0, -1).del(key));
+      return items.map(item => JSON.parse(item));
+    },
+
+    async close() {
+      client.disconnect();
+    }
+  };
+}
+
+/**
+ * The storage backend selected by `options` (config.oauth.storage):
+ * { type, path (file), url and keyPrefix (redis) }.
+ */
+export function createStorage(options) {
+  switch (options.type) {
+    case 'file':
+      return createFileStorage(options.path);
+    case 'redis':
+      return createRedisStorage(options);
+    default:
+      return createMapStorage(new Map());
+  }
+}
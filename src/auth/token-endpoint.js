@@ -0,0 +1,56 @@
+// Helpers for OAuth token endpoints (RFC 6749 Sections 3.2 and 5)
+
+// Error codes defined by RFC 6749 Section 5.2
+export const TOKEN_ERROR_CODES = [
+  'invalid_request',
+  'invalid_client',
+  'invalid_grant',
+  'unauthorized_client',
+  'unsupported_grant_type',
+  'invalid_scope',
+  // Revocation (RFC 7009 Section 2.2.1)
+  'unsupported_token_type',
+  // Resource indicators (RFC 8707 Section 2)
+  'invalid_target'
+];
+
+/**
+ * Token request parameters from a body parsed by express.urlencoded() (or
+ * express.json() for older clients), with client_secret_basic credentials
+ * merged in. Throws with an invalid_request description when unusable.
+ */
+export function readTokenRequest(req) {
+  if (!req.body || typeof req.body !== 'object') {
+    throw new Error('Content-Type must be application/x-www-form-urlencoded');
+  }
+
+  const params = { ...req.body };
+
+  // client_secret_basic credentials take the place of body parameters
+  const basicAuth = req.headers.authorization;
+  if (basicAuth && basicAuth.startsWith('Basic ')) {
+    const credentials = Buffer.from(basicAuth.substring(6), 'base64').toString();
+    const separator = credentials.indexOf(':');
+    if (params.client_secret || separator === -1) {
+      throw new Error('Use exactly one valid client authentication method');
+    }
+    params.client_id = decodeURIComponent(credentials.substring(0, separator));
+    params.client_secret = decodeURIComponent(credentials.substring(separator + 1));
+  }
+
+  return params;
+}
+
+// Token endpoint responses must never be cached (RFC 6749 Section 5.1)
+export function sendTokenResponse(res, status, body) {
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Pragma', 'no-cache');
+  return res.status(status).json(body);
+}
+
+export function sendTokenError(res, status, error, errorDescription) {
+  if (status === 401) {
+    res.setHeader('WWW-Authenticate', 'Basic realm="descope-store-mcp"');
+  }
+  return sendTokenResponse(res, status, { error, error_description: errorDescription });
+}
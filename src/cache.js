@@ -0,0 +1,97 @@
+// Shared cache for store API reads, keyed by URL.
+//
+// A response is fresh for cache.ttl seconds. For cache.staleTtl seconds
+// after that it is still served immediately while one background request
+// revalidates it (stale-while-revalidate); revalidation sends the response's
+// ETag / Last-Modified so an unchanged catalog costs a 304. Concurrent
+// requests for the same URL share a single fetch. Writes such as orders call
+// invalidate() so the next read goes back to the store.
+const MAX_ENTRIES = 500;
+
+// url -> { value, etag, lastModified, storedAt }
+const entries = new Map();
+// url -> Promise of the value being fetched
+const inflight = new Map();
+
+// Bumped on invalidation so fetches started earlier cannot store old data
+let generation = 0;
+
+function store(url, entry) {
+  entries.delete(url);
+  if (entries.size >= MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+  entries.set(url, entry);
+}
+
+function refresh(url, entry, load) {
+  if (inflight.has(url)) {
+    return inflight.get(url);
+  }
+
+  const startedIn = generation;
+  const promise = (async () => {
+    try {
+      // load() returns null when the store answers 304 Not Modified
+      const loaded = await load(entry);
+      const next = { ...(loaded || entry), storedAt: Date.now() };
+      if (startedIn === generation) {
+        store(url, next);
+      }
+      return next.value;
+    } finally {
+      if (inflight.get(url) === promise) {
+        inflight.delete(url);
+      }
+    }
+  })();
+  inflight.set(url, promise);
+  return promise;
+}
+
+/**
+ * Cached value for `url`. `load(previous)` fetches it, sending the previous
+ * entry's etag / lastModified as validators when there is one, and resolves
+ * to { value, etag, lastModified }, or null if the previous value still holds.
+ * With `fresh`, a cached value is only used once the store confirms it (a
+ * 304), for reads such as stock checks that must not be out of date.
+ */
+export async function cached(config, url, load, { fresh = false } = {}) {
+  const { ttl, staleTtl } = config.cache;
+  if (!ttl) {
+    return (await load(null)).value;
+  }
+
+  const entry = entries.get(url);
+  const age = entry && !fresh ? Date.now() - entry.storedAt : Infinity;
+  if (age < ttl * 1000) {
+    return entry.value;
+  }
+  if (age < (ttl + staleTtl) * 1000) {
+    refresh(url, entry, load).catch(error => {
+      console.error(`Background refresh of ${url} failed:`, error.message);
+    });
+    return entry.value;
+  }
+  // Too old to serve, but its validators may still spare a full response
+  return refresh(url, entry, load);
+}
+
+// The cached value for `url` while it is fresh, without fetching
+export function peek(config, url) {
+  const entry = entries.get(url);
+  return entry && config.cache.ttl && Date.now() - entry.storedAt < config.cache.ttl * 1000
+    ? entry.value
+    : undefined;
+}
+
+// Drop every entry whose URL starts with `prefix`
+export function invalidate(prefix) {
+  generation++;
+  for (const url of [...entries.keys(), ...inflight.keys()]) {
+    if (url.startsWith(prefix)) {
+      entries.delete(url);
+      inflight.delete(url);
+    }
+  }
+}
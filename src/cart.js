@@ -0,0 +1,118 @@
+// Shopping carts, one per caller (see identity.js), held in memory. A cart
+// only records product and variant ids with quantities; prices and stock are
+// read from the catalog whenever the cart is priced, so totals follow the
+// store. Carts left untouched for CART_TTL are discarded.
+import { fetchProduct } from './store.js';
+import { resolveVariant } from './order-validation.js';
+import { sameId } from './util.js';
+
+const CART_TTL = 24 * 60 * 60 * 1000;
+
+// owner -> { items: [{ product_id, variant_id, quantity }], updatedAt }
+const carts = new Map();
+
+function sweep() {
+  const cutoff = Date.now() - CART_TTL;
+  for (const [owner, cart] of carts) {
+    if (cart.updatedAt < cutoff) carts.delete(owner);
+  }
+}
+
+function cartFor(owner) {
+  sweep();
+  if (!carts.has(owner)) {
+    carts.set(owner, { items: [], updatedAt: Date.now() });
+  }
+  return carts.get(owner);
+}
+
+function readQuantity(quantity, minimum) {
+  if (!Number.isInteger(quantity) || quantity < minimum) {
+    throw new Error(`quantity must be a whole number of at least ${minimum}`);
+  }
+  return quantity;
+}
+
+export async function addCartItem(config, owner, { product_id, variant_id, quantity = 1 }) {
+  readQuantity(quantity, 1);
+  const product = await fetchProduct(config, product_id);
+  const { variant, problem } = resolveVariant(product, variant_id);
+  if (problem) {
+    throw new Error(problem.message);
+  }
+
+  const cart = cartFor(owner);
+  const line = cart.items.find(item => sameId(item.product_id, product.id) && sameId(item.variant_id, variant?.id ?? null));
+  if (line) {
+    line.quantity += quantity;
+  } else {
+    cart.items.push({ product_id: product.id, variant_id: variant?.id ?? null, quantity });
+  }
+  cart.updatedAt = Date.now();
+  return { product, variant };
+}
+
+/**
+ * Set the quantity of a cart line; 0 removes it. variant_id may be left out
+ * when the cart holds only one variant of the product.
+ */
+export function setCartItemQuantity(owner, { product_id, variant_id, quantity }) {
+  readQuantity(quantity, 0);
+  const cart = cartFor(owner);
+  const lines = cart.items.filter(item => sameId(item.product_id, product_id) &&
+    (variant_id === undefined || variant_id === null || sameId(item.variant_id, variant_id)));
+
+  if (lines.length === 0) {
+    throw new Error(`Product ${product_id}${variant_id ? ` variant ${variant_id}` : ''} is not in your cart`);
+  }
+  if (lines.length > 1) {
+    throw new Error(`Your cart has several variants of product ${product_id}; say which variant_id to update`);
+  }
+
+  const [line] = lines;
+  if (quantity === 0) {
+    cart.items.splice(cart.items.indexOf(line), 1);
+  } else {
+    line.quantity = quantity;
+  }
+  cart.updatedAt = Date.now();
+  return line;
+}
+
+export function clearCart(owner) {
+  carts.delete(owner);
+}
+
+/**
+ * The cart with current catalog prices: { lines, total, count }. Each line
+ * carries its product, variant, unit_price and subtotal, or `problem` when
+ * the product or variant is no longer sold.
+ */
+export async function priceCart(config, owner) {
+  const cart = cartFor(owner);
+  const lines = await Promise.all(cart.items.map(async item => {
+    let product;
+    try {
+      product = await fetchProduct(config, item.product_id);
+    } catch (error) {
+      if (error.code !== 'not_found') throw error;
+      return { ...item, problem: 'no longer available' };
+    }
+
+    const variant = item.variant_id === null
+      ? null
+      : product.variants.find(v => sameId(v.id, item.variant_id));
+    if (item.variant_id !== null && !variant) {
+      return { ...item, product, problem: 'option no longer available' };
+    }
+
+    const unit_price = variant?.price ?? product.price;
+    return { ...item, product, variant, unit_price, subtotal: unit_price * item.quantity };
+  }));
+
+  return {
+    lines,
+    total: lines.reduce((sum, line) => sum + (line.subtotal || 0), 0),
+    count: lines.reduce((sum, line) => sum + line.quantity, 0)
+  };
+}
@@ -0,0 +1,281 @@
+// Server configuration: defaults < config file < environment < CLI flags
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { IMAGE_SOURCES, IMAGE_FORMATS } from './images.js';
+import { CONFIRMATION_MODES } from './confirmation.js';
+import { STORAGE_TYPES } from './auth/storage.js';
+import { JWT_ALGORITHMS } from './auth/jwt.js';
+
+export const TRANSPORTS = ['stdio', 'sse', 'streamable-http', 'serverless'];
+export const AUTH_MODES = ['none', 'demo', 'descope', 'oauth'];
+export const ACCESS_TOKEN_FORMATS = ['opaque', 'jwt'];
+export const UI_MODES = ['markdown', 'images', 'mcp-ui'];
+
+const DEFAULT_CONFIG_FILE = 'mcp.config.json';
+
+const DEFAULTS = {
+  transport: 'stdio',
+  auth: 'none',
+  ui: 'images',
+  port: 3001,
+  serverUrl: null,
+  // Browser origins allowed to call the server besides serverUrl and localhost
+  allowedOrigins: [],
+  storeUrl: 'http://localhost:3000',
+  // search_products filters the store API applies itself, by query parameter
+  storeFilters: ['type'],
+  // How the user approves orders: elicitation when the client supports it,
+  // else a confirmation code ("auto"), always a code ("token"), or "none"
+  orderConfirmation: 'auto',
+  https: null,
+  // Store API calls: per-attempt timeout and retry backoff in ms; the
+  // circuit opens for `cooldown` ms after `failureThreshold` failures in a row
+  storeClient: {
+    timeout: 8000,
+    retries: 2,
+    retryDelay: 200,
+    maxRetryDelay: 2000,
+    failureThreshold: 5,
+    cooldown: 30000
+  },
+  // Seconds store responses are served fresh, then served stale while
+  // revalidating; ttl 0 turns the cache off
+  cache: {
+    ttl: 30,
+    staleTtl: 300
+  },
+  images: {
+    sources: ['url', 'local', 'store'],
+    dir: null,
+    cacheDir: null,
+    format: 'webp',
+    quality: 80,
+    thumbnailSize: 160,
+    fullSize: 800,
+    // Base64 image bytes embedded in a single tool result
+    maxResponseBytes: 800000
+  },
+  descope: {
+    projectId: null,
+    managementKey: null,
+    audience: null
+  },
+  demoTokens: ['descope-demo-token-2024', 'mcp-connector-token', 'descope-store-access'],
+  // Scopes demo tokens grant; add store:admin to let them order for anyone
+  demoScopes: ['store:read', 'store:write'],
+  oauth: {
+    providers: ['google', 'github', 'microsoft', 'apple', 'facebook', 'gitlab'],
+    // Seconds a refresh token stays usable; every refresh issues a new one
+    refreshTokenTtl: 30 * 24 * 60 * 60,
+    // "opaque" access tokens are looked up in storage; "jwt" access tokens
+    // are signed and checked locally by any instance
+    accessTokenFormat: 'opaque',
+    jwt: {
+      algorithm: 'RS256',
+      ttl: 300,
+      keyRotation: 7 * 24 * 60 * 60
+    },
+    // Where clients and tokens are kept: memory, file (path) or redis (url)
+    storage: {
+      type: 'memory',
+      path: '.data/oauth.json',
+      url: 'redis://localhost:6379',
+      keyPrefix: 'descope-store-mcp:oauth:'
+    }
+  }
+};
+
+const CLI_OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  transport: { type: 'string', short: 't' },
+  auth: { type: 'string', short: 'a' },
+  ui: { type: 'string', short: 'u' },
+  port: { type: 'string', short: 'p' },
+  'server-url': { type: 'string' },
+  'store-url': { type: 'string' },
+  'order-confirmation': { type: 'string' },
+  'oauth-storage': { type: 'string' },
+  'oauth-token-format': { type: 'string' },
+  'store-timeout': { type: 'string' },
+  'store-retries': { type: 'string' },
+  'cache-ttl': { type: 'string' },
+  'image-sources': { type: 'string' },
+  'image-dir': { type: 'string' },
+  'image-cache-dir': { type: 'string' },
+  'image-format': { type: 'string' },
+  'thumbnail-size': { type: 'string' },
+  'full-size': { type: 'string' }
+};
+
+const list = (value) => value === undefined ? undefined : value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Recursively merge plain objects; arrays and scalars from `source` win
+function merge(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source || {})) {
+    if (value === undefined) continue;
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    result[key] = isObject && result[key] && typeof result[key] === 'object'
+      ? merge(result[key], value)
+      : value;
+  }
+  return result;
+}
+
+function readConfigFile(file, required) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) {
+    if (required) {
+      throw new Error(`Config file not found: ${resolved}`);
+    }
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid config file ${resolved}: ${error.message}`);
+  }
+}
+
+function fromEnv(env) {
+  return {
+    transport: env.MCP_TRANSPORT,
+    auth: env.MCP_AUTH,
+    ui: env.MCP_UI,
+    port: env.PORT,
+    serverUrl: env.SERVER_URL || env.MCP_SERVER_URL,
+    allowedOrigins: list(env.MCP_ALLOWED_ORIGINS),
+    storeUrl: env.DESCOPE_STORE_URL,
+    storeFilters: list(env.MCP_STORE_FILTERS),
+    demoScopes: list(env.MCP_DEMO_SCOPES),
+    orderConfirmation: env.MCP_ORDER_CONFIRMATION,
+    storeClient: {
+      timeout: env.MCP_STORE_TIMEOUT,
+      retries: env.MCP_STORE_RETRIES
+    },
+    cache: {
+      ttl: env.MCP_CACHE_TTL,
+      staleTtl: env.MCP_CACHE_STALE_TTL
+    },
+    images: {
+      sources: list(env.MCP_IMAGE_SOURCES),
+      dir: env.MCP_IMAGE_DIR,
+      cacheDir: env.MCP_IMAGE_CACHE_DIR,
+      format: env.MCP_IMAGE_FORMAT,
+      thumbnailSize: env.MCP_THUMBNAIL_SIZE,
+      fullSize: env.MCP_FULL_IMAGE_SIZE
+    },
+    oauth: {
+      accessTokenFormat: env.MCP_OAUTH_TOKEN_FORMAT,
+      jwt: {
+        algorithm: env.MCP_OAUTH_JWT_ALGORITHM
+      },
+      storage: {
+        type: env.MCP_OAUTH_STORAGE,
+        path: env.MCP_OAUTH_STORAGE_PATH,
+        url: env.REDIS_URL
+      }
+    },
+    descope: {
+      projectId: env.DESCOPE_PROJECT_ID,
+      managementKey: env.DESCOPE_MANAGEMENT_KEY,
+      audience: env.DESCOPE_AUDIENCE
+    }
+  };
+}
+
+function fromFlags(values) {
+  return {
+    transport: values.transport,
+    auth: values.auth,
+    ui: values.ui,
+    port: values.port,
+    serverUrl: values['server-url'],
+    storeUrl: values['store-url'],
+    orderConfirmation: values['order-confirmation'],
+    storeClient: {
+      timeout: values['store-timeout'],
+      retries: values['store-retries']
+    },
+    cache: {
+      ttl: values['cache-ttl']
+    },
+    oauth: {
+      accessTokenFormat: values['oauth-token-format'],
+      storage: {
+        type: values['oauth-storage']
+      }
+    },
+    images: {
+      sources: list(values['image-sources']),
+      dir: values['image-dir'],
+      cacheDir: values['image-cache-dir'],
+      format: values['image-format'],
+      thumbnailSize: values['thumbnail-size'],
+      fullSize: values['full-size']
+    }
+  };
+}
+
+function assertOneOf(name, value, allowed) {
+  if (!allowed.includes(value)) {
+    throw new Error(`Invalid ${name} "${value}". Expected one of: ${allowed.join(', ')}`);
+  }
+}
+
+/**
+ * Resolve the server configuration.
+ *
+ * `defaults` lets legacy entry points preset a mode while still honouring
+ * the config file, environment variables and CLI flags on top of it.
+ */
+export function loadConfig({ argv = process.argv.slice(2), env = process.env, defaults = {} } = {}) {
+  const { values } = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true, strict: false });
+
+  const configFile = values.config || env.MCP_CONFIG;
+  const fileConfig = readConfigFile(configFile || DEFAULT_CONFIG_FILE, Boolean(configFile));
+
+  const config = [defaults, fileConfig, fromEnv(env), fromFlags(values)]
+    .reduce(merge, DEFAULTS);
+
+  assertOneOf('transport', config.transport, TRANSPORTS);
+  assertOneOf('auth mode', config.auth, AUTH_MODES);
+  assertOneOf('UI mode', config.ui, UI_MODES);
+  assertOneOf('order confirmation', config.orderConfirmation, CONFIRMATION_MODES);
+  assertOneOf('OAuth storage', config.oauth.storage.type, STORAGE_TYPES);
+  assertOneOf('access token format', config.oauth.accessTokenFormat, ACCESS_TOKEN_FORMATS);
+  assertOneOf('JWT algorithm', config.oauth.jwt.algorithm, JWT_ALGORITHMS);
+  for (const source of config.images.sources) {
+    assertOneOf('image source', source, IMAGE_SOURCES);
+  }
+  assertOneOf('image format', config.images.format, IMAGE_FORMATS);
+
+  config.port = Number(config.port);
+  for (const key of ['quality', 'thumbnailSize', 'fullSize', 'maxResponseBytes']) {
+    config.images[key] = config.images[key] ? Number(config.images[key]) : null;
+  }
+  for (const key of Object.keys(config.storeClient)) {
+    config.storeClient[key] = Math.max(Number(config.storeClient[key]) || 0, 0);
+  }
+  for (const key of ['ttl', 'staleTtl']) {
+    config.cache[key] = Math.max(Number(config.cache[key]) || 0, 0);
+  }
+  config.oauth.refreshTokenTtl = Math.max(Number(config.oauth.refreshTokenTtl) || 0, 0);
+  for (const key of ['ttl', 'keyRotation']) {
+    config.oauth.jwt[key] = Math.max(Number(config.oauth.jwt[key]) || 0, 60);
+  }
+  config.serverUrl = (config.serverUrl || `http://localhost:${config.port}`).replace(/\/$/, '');
+  config.storeUrl = config.storeUrl.replace(/\/$/, '');
+
+  if (config.transport === 'stdio' && config.auth !== 'none') {
+    throw new Error('The stdio transport does not support authentication; use --auth none');
+  }
+
+  if (['descope', 'oauth'].includes(config.auth) && !config.descope.projectId) {
+    console.error(`⚠️ DESCOPE_PROJECT_ID is not set; "${config.auth}" auth will reject every request`);
+  }
+
+  return config;
+}
@@ -0,0 +1,125 @@
+// Human confirmation before a tool spends money. The caller sees a preview
+// and must approve it before the action runs:
+//
+//   elicitation - the client asks the user directly (MCP elicitation), when
+//                 the client supports it and config.orderConfirmation is "auto"
+//   token       - the tool returns the preview and a short confirmation code
+//                 meant for the user only; the call is repeated with the code
+//                 once the user gives it to the agent
+//   none        - no confirmation
+//
+// Codes are single use, expire after CODE_TTL, and only approve the exact
+// request they were issued for (same caller, action and details).
+import crypto from 'crypto';
+import { callerKey } from './identity.js';
+import { fingerprint } from './util.js';
+
+export const CONFIRMATION_MODES = ['auto', 'token', 'none'];
+
+const CODE_TTL = 10 * 60 * 1000;
+const ELICITATION_TIMEOUT = 10 * 60 * 1000;
+// Unambiguous characters for codes people may type
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// code -> { owner, fingerprint, expiresAt }
+const pendingCodes = new Map();
+
+function generateCode() {
+  const characters = Array.from(crypto.randomBytes(6), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  return `${characters.slice(0, 3).join('')}-${characters.slice(3).join('')}`;
+}
+
+function issueCode(owner, print) {
+  const now = Date.now();
+  for (const [code, pending] of pendingCodes) {
+    if (pending.expiresAt < now) pendingCodes.delete(code);
+  }
+
+  const code = generateCode();
+  pendingCodes.set(code, { owner, fingerprint: print, expiresAt: now + CODE_TTL });
+  return code;
+}
+
+// Spend a code; false unless it was issued for this exact request
+function redeemCode(code, owner, print) {
+  const key = String(code).trim().toUpperCase();
+  const pending = pendingCodes.get(key);
+  if (!pending || pending.owner !== owner || pending.fingerprint !== print || pending.expiresAt < Date.now()) {
+    return false;
+  }
+  pendingCodes.delete(key);
+  return true;
+}
+
+/**
+ * Get the user's approval for `action` (e.g. "create_order"). `preview` is
+ * the markdown shown to the user, `details` what is being approved, and
+ * `code` the confirmation_code argument of the call, if any.
+ *
+ * Resolves to { approved: true }, or { approved: false, result } where
+ * `result` is the tool result to return instead of acting.
+ */
+export async function requireConfirmation(context, { action, preview, details, code }) {
+  const mode = context.config.orderConfirmation;
+  if (mode === 'none') {
+    return { approved: true };
+  }
+
+  const owner = callerKey(context);
+  const print = fingerprint([action, details]);
+  if (code && redeemCode(code, owner, print)) {
+    return { approved: true };
+  }
+
+  if (mode === 'auto' && context.elicit && !code) {
+    const response = await context.elicit({
+      message: `${preview}\n\nPlace this order?`,
+      requestedSchema: {
+        type: 'object',
+        properties: {
+          confirm: {
+            type: 'boolean',
+            title: 'Place this order',
+            description: 'Confirm to place the order and be charged the total shown'
+          }
+        },
+        required: ['confirm']
+      }
+    }, { timeout: ELICITATION_TIMEOUT });
+
+    if (response.action === 'accept' && response.content?.confirm === true) {
+      return { approved: true };
+    }
+    return {
+      approved: false,
+      result: {
+        content: [{ type: 'text', text: '❎ Order not placed: the customer did not confirm it.' }],
+        structuredContent: { status: 'declined' }
+      }
+    };
+  }
+
+  // The code is for the customer's eyes: the agent only learns it when the
+  // customer types it back, so it cannot approve an order on its own
+  const newCode = issueCode(owner, print);
+  return {
+    approved: false,
+    result: {
+      content: [
+        {
+          type: 'text',
+          text: `${preview}\n\n---\n\n🔐 **Confirmation required.** ${code ? 'That confirmation code is not valid for this order (codes are single use, expire, and only cover the exact order they were issued for). ' : ''}A confirmation code has been shown to the customer. Show them this summary and ask them for the code. Only call \`${action}\` again, with the same details and \`confirmation_code\`, once the customer has given you the code; never make one up or fill it in yourself.`
+        },
+        {
+          type: 'text',
+          text: `🔐 To place this order, tell your assistant the confirmation code **${newCode}**. It expires in ${CODE_TTL / 60000} minutes.`,
+          annotations: { audience: ['user'], priority: 1 }
+        }
+      ],
+      structuredContent: {
+        status: 'confirmation_required',
+        expires_at: new Date(Date.now() + CODE_TTL).toISOString()
+      }
+    }
+  };
+}
@@ -0,0 +1,149 @@
+// Structured product filters and sorting for search_products.
+//
+// Filters the store API is configured to handle (config.storeFilters, by
+// store query parameter name) are sent to the store; every other filter is
+// applied here, so results are the same whichever side does the work.
+// Variant-level constraints (price range, stock, option values) must all
+// hold for the same variant: "size L under $50" means an L variant under $50.
+export const SORT_KEYS = ['price', 'stock', 'discount', 'newest'];
+export const SORT_ORDERS = ['asc', 'desc'];
+
+// Direction used when a sort key is given without an order
+const DEFAULT_SORT_ORDER = {
+  price: 'asc',
+  stock: 'desc',
+  discount: 'desc',
+  newest: 'desc'
+};
+
+const lower = (value) => String(value).toLowerCase();
+
+// Store query parameter for each filter, and how its value is sent
+const STORE_PARAMETERS = {
+  query: ['query', value => value],
+  category: ['type', value => value],
+  min_price: ['min_price', String],
+  max_price: ['max_price', String],
+  in_stock: ['in_stock', String],
+  tags: ['tags', value => value.join(',')],
+  vendor: ['vendor', value => value],
+  options: ['option', value => value.join(',')]
+};
+
+const isSet = (value) => value !== undefined && value !== null && value !== '' &&
+  !(Array.isArray(value) && value.length === 0);
+
+// Validate and normalise tool arguments into a filter set
+export function readProductFilters(args) {
+  const filters = {
+    query: args.query,
+    category: args.category,
+    min_price: args.min_price,
+    max_price: args.max_price,
+    in_stock: args.in_stock,
+    tags: args.tags ? [].concat(args.tags) : undefined,
+    vendor: args.vendor,
+    options: args.options ? [].concat(args.options) : undefined
+  };
+
+  for (const key of ['min_price', 'max_price']) {
+    if (isSet(filters[key]) && !(Number(filters[key]) >= 0)) {
+      throw new Error(`${key} must be a non-negative number`);
+    }
+  }
+  if (isSet(filters.min_price) && isSet(filters.max_price) && Number(filters.min_price) > Number(filters.max_price)) {
+    throw new Error('min_price cannot be greater than max_price');
+  }
+
+  return Object.fromEntries(Object.entries(filters).filter(([, value]) => isSet(value)));
+}
+
+export function readProductSort(args) {
+  const { sort, order } = args;
+  if (!sort) {
+    return null;
+  }
+  if (!SORT_KEYS.includes(sort)) {
+    throw new Error(`sort must be one of: ${SORT_KEYS.join(', ')}`);
+  }
+  if (order && !SORT_ORDERS.includes(order)) {
+    throw new Error(`order must be one of: ${SORT_ORDERS.join(', ')}`);
+  }
+  return { key: sort, order: order || DEFAULT_SORT_ORDER[sort] };
+}
+
+// Store query parameters for the filters the store handles itself
+export function storeFilterParams(filters, storeFilters) {
+  const params = {};
+  for (const [name, value] of Object.entries(filters)) {
+    const [parameter, serialize] = STORE_PARAMETERS[name];
+    if (storeFilters.includes(parameter)) {
+      params[parameter] = serialize(value);
+    }
+  }
+  return params;
+}
+
+function variantMatches(variant, filters) {
+  return (!isSet(filters.min_price) || variant.price >= Number(filters.min_price)) &&
+    (!isSet(filters.max_price) || variant.price <= Number(filters.max_price)) &&
+    (!filters.in_stock || variant.inventory_qty > 0) &&
+    (!filters.options || filters.options.some(option => lower(option) === lower(variant.option1_value)));
+}
+
+function productMatches(product, filters) {
+  if (filters.query) {
+    const query = lower(filters.query);
+    const haystack = [product.title, product.body, product.type, ...product.tags].map(lower);
+    if (!haystack.some(text => text.includes(query))) return false;
+  }
+  if (filters.category && lower(product.type) !== lower(filters.category)) return false;
+  if (filters.vendor && lower(product.vendor) !== lower(filters.vendor)) return false;
+  if (filters.tags) {
+    const tags = product.tags.map(lower);
+    if (!filters.tags.every(tag => tags.includes(lower(tag)))) return false;
+  }
+
+  // Products without variants are sold as a single item at the product price
+  const variants = product.variants.length > 0
+    ? product.variants
+    : [{ price: product.price, inventory_qty: product.inventory_qty, option1_value: null }];
+  return variants.some(variant => variantMatches(variant, filters));
+}
+
+const VARIANT_FILTERS = ['min_price', 'max_price', 'in_stock', 'options'];
+
+// Apply the filters the store did not handle. Variant-level filters are
+// matched together, so if any of them is local they are all re-applied here.
+export function filterProducts(products, filters, storeFilters) {
+  const local = Object.fromEntries(
+    Object.entries(filters).filter(([name]) => !storeFilters.includes(STORE_PARAMETERS[name][0]))
+  );
+  if (VARIANT_FILTERS.some(name => name in local)) {
+    for (const name of VARIANT_FILTERS.filter(name => name in filters)) {
+      local[name] = filters[name];
+    }
+  }
+  return Object.keys(local).length > 0 ? products.filter(product => productMatches(product, local)) : products;
+}
+
+const discount = (product) => product.compare_at_price > product.price
+  ? (product.compare_at_price - product.price) / product.compare_at_price
+  : 0;
+
+const SORT_VALUES = {
+  price: product => product.price,
+  stock: product => product.inventory_qty,
+  discount,
+  newest: product => Date.parse(product.created_at) || 0
+};
+
+// Stable sort; products keep the store's order when values tie
+export function sortProducts(products, sort) {
+  if (!sort) {
+    return products;
+  }
+  const value = SORT_VALUES[sort.key];
+  const direction = sort.order === 'asc' ? 1 : -1;
+  return [...products].sort((a, b) => (value(a) - value(b)) * direction);
+}
@@ -0,0 +1,90 @@
+// Replay protection for tools that place orders. Each request has an
+// idempotency key, given by the client or derived from the request itself.
+// The first request with a key runs; repeats get its original outcome
+// instead of running again, and repeats that arrive while it is still
+// running wait for it. Keys are scoped to the caller (see identity.js).
+//
+// Derived keys only cover retries, so they are remembered for a short
+// window: after that the same request places a new order.
+import crypto from 'crypto';
+import { fingerprint } from './util.js';
+
+const KEY_TTL = 24 * 60 * 60 * 1000;
+const DERIVED_KEY_TTL = 5 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+const MAX_ENTRIES = 1000;
+
+// owner + key -> { fingerprint, running, outcome, expiresAt }
+const entries = new Map();
+
+function sweep() {
+  const now = Date.now();
+  for (const [id, entry] of entries) {
+    if (entry.outcome && entry.expiresAt < now) entries.delete(id);
+  }
+  for (const [id, entry] of entries) {
+    if (entries.size <= MAX_ENTRIES) break;
+    if (entry.outcome) entries.delete(id);
+  }
+}
+
+function readKey(key) {
+  if (key === undefined || key === null) {
+    return null;
+  }
+  const trimmed = String(key).trim();
+  if (!trimmed || trimmed.length > MAX_KEY_LENGTH) {
+    throw new Error(`idempotency_key must be 1 to ${MAX_KEY_LENGTH} characters`);
+  }
+  return trimmed;
+}
+
+/**
+ * Run `run(storeKey)` once per idempotency key. `key` is the client's key,
+ * or null to derive one from `request`, the details that make two requests
+ * the same. `storeKey` is the key to pass on to the store: the same for
+ * every use of a client's key, and new for every run of a derived one, as
+ * the store may remember keys far longer than DERIVED_KEY_TTL.
+ *
+ * run() resolves to { value, final }. Final outcomes (an order was placed)
+ * are replayed; anything else, like a confirmation prompt, lets the next
+ * request with the key run again, as do errors.
+ *
+ * Resolves to { value, replayed }.
+ */
+export async function runOnce(owner, { key, request }, run) {
+  const clientKey = readKey(key);
+  const print = fingerprint(request);
+  const id = `${owner}\n${clientKey ? `key:${clientKey}` : `derived:${print}`}`;
+
+  sweep();
+  for (let entry = entries.get(id); entry; entry = entries.get(id)) {
+    if (entry.fingerprint !== print) {
+      throw new Error('This idempotency_key was already used for a different order; use a new key for a new order');
+    }
+    if (entry.outcome) {
+      return { value: entry.outcome.value, replayed: true };
+    }
+    await entry.running.catch(() => {});
+  }
+
+  const entry = { fingerprint: print, outcome: null, expiresAt: 0 };
+  const storeKey = fingerprint(clientKey ? id : [id, crypto.randomUUID()]);
+  entry.running = run(storeKey).then(
+    ({ value, final }) => {
+      if (final) {
+        entry.outcome = { value };
+        entry.expiresAt = Date.now() + (clientKey ? KEY_TTL : DERIVED_KEY_TTL);
+      } else {
+        entries.delete(id);
+      }
+      return value;
+    },
+    error => {
+      entries.delete(id);
+      throw error;
+    }
+  );
+  entries.set(id, entry);
+  return { value: await entry.running, replayed: false };
+}
@@ -0,0 +1,41 @@
+// Who is calling a tool, for per-caller state such as carts and orders.
+// Descope-authenticated requests carry the user's claims: the session JWT
+// claims in "descope" mode, or the user behind the token in "oauth" mode.
+
+// Lets a caller act for other customers, e.g. order on their behalf
+export const ADMIN_SCOPE = 'store:admin';
+
+// Descope claims of the signed-in user, if any
+const callerClaims = (authInfo) => authInfo?.extra?.claims || authInfo?.extra?.user || null;
+
+// Authenticated callers are keyed by their Descope user, or by OAuth client
+// when no user signed in (client_credentials); unauthenticated callers by
+// MCP session, or as the single local user over stdio.
+export function callerKey(context) {
+  const { authInfo, sessionId } = context;
+  const user = callerClaims(authInfo);
+  if (user?.sub) {
+    return `user:${user.sub}`;
+  }
+  if (authInfo?.clientId) {
+    return `client:${authInfo.clientId}`;
+  }
+  return sessionId ? `session:${sessionId}` : 'local';
+}
+
+// The signed-in user's email from their Descope claims, or null
+export function callerEmail(context) {
+  return callerClaims(context.authInfo)?.email || null;
+}
+
+export function callerUserId(context) {
+  return callerClaims(context.authInfo)?.sub || null;
+}
+
+// The Descope tenant the user is signed in to: the selected tenant, or their
+// only tenant
+export function callerTenant(context) {
+  const claims = callerClaims(context.authInfo);
+  const tenants = Object.keys(claims?.tenants || {});
+  return claims?.dct || (tenants.length === 1 ? tenants[0] : null);
+}
@@ -0,0 +1,220 @@
+// Product images. Each configured source is tried in order for the product,
+// then again for the store logo:
+//
+//   url    - the product's own image_url (relative URLs resolve against the store)
+//   local  - <images.dir>/<handle>.png|jpg|jpeg|webp|gif
+//   store  - <storeUrl>/images/small/<handle>.png
+//
+// Loaded images are kept in memory, and remote ones on disk when
+// images.cacheDir is set, so each image is fetched once per process.
+//
+// Callers ask for a size: "thumbnail" (images.thumbnailSize px), "full"
+// (images.fullSize px, or the original dimensions when unset) or "none".
+// Resized images are encoded as images.format ("webp", "jpeg", "png", or
+// "original" to keep the source format).
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+
+export const IMAGE_SOURCES = ['url', 'local', 'store'];
+export const IMAGE_SIZES = ['thumbnail', 'full', 'none'];
+export const IMAGE_FORMATS = ['webp', 'jpeg', 'png', 'original'];
+
+const FALLBACK_HANDLE = 'descope-logo';
+const LOCAL_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp', 'gif'];
+const FETCH_TIMEOUT = 5000;
+const MEMORY_CACHE_LIMIT = 200;
+const MISS_TTL = 5 * 60 * 1000;
+
+// location -> { buffer, mimeType } | { miss: expiry timestamp }
+const memoryCache = new Map();
+const reportedMisses = new Set();
+
+// source image -> Map of "size:format" -> resized image
+const variantCache = new WeakMap();
+
+// Identify the image format from its magic bytes; null when not an image
+function sniffMimeType(buffer) {
+  if (buffer.length < 12) return null;
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+  return null;
+}
+
+function toImage(buffer) {
+  const mimeType = sniffMimeType(buffer);
+  return mimeType ? { buffer, mimeType } : null;
+}
+
+function remember(location, image) {
+  if (memoryCache.size >= MEMORY_CACHE_LIMIT) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+  memoryCache.set(location, image || { miss: Date.now() + MISS_TTL });
+}
+
+function diskCachePath(config, url) {
+  const key = crypto.createHash('sha256').update(url).digest('hex');
+  return path.join(config.images.cacheDir, key);
+}
+
+async function readLocal(file) {
+  try {
+    return toImage(await fs.promises.readFile(file));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function fetchRemote(config, url) {
+  if (config.images.cacheDir) {
+    const cached = await readLocal(diskCachePath(config, url));
+    if (cached) return cached;
+  }
+
+  let image;
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+    if (!response.ok) return null;
+    image = toImage(Buffer.from(await response.arrayBuffer()));
+  } catch (error) {
+    return null;
+  }
+
+  if (image && config.images.cacheDir) {
+    try {
+      await fs.promises.mkdir(config.images.cacheDir, { recursive: true });
+      await fs.promises.writeFile(diskCachePath(config, url), image.buffer);
+    } catch (error) {
+      console.error(`Could not write image cache ${config.images.cacheDir}:`, error.message);
+    }
+  }
+
+  return image;
+}
+
+// The store's own image for a handle; also the public URL when a product
+// has no image_url
+const storeImageUrl = (config, handle) => `${config.storeUrl}/images/small/${encodeURIComponent(handle)}.png`;
+
+// Candidate locations for one handle, in configured source order
+function imageLocations(config, handle, imageUrl) {
+  const locations = [];
+  for (const source of config.images.sources) {
+    if (source === 'url' && imageUrl) {
+      locations.push(new URL(imageUrl, `${config.storeUrl}/`).toString());
+    } else if (source === 'local' && config.images.dir) {
+      for (const extension of LOCAL_EXTENSIONS) {
+        locations.push(path.resolve(config.images.dir, `${handle}.${extension}`));
+      }
+    } else if (source === 'store') {
+      locations.push(storeImageUrl(config, handle));
+    }
+  }
+  return locations;
+}
+
+async function loadLocation(config, location) {
+  const cached = memoryCache.get(location);
+  if (cached && !(cached.miss && cached.miss < Date.now())) {
+    return cached.miss ? null : cached;
+  }
+
+  const image = /^https?:\/\//.test(location)
+    ? await fetchRemote(config, location)
+    : await readLocal(location);
+  remember(location, image);
+  return image;
+}
+
+async function loadProductImage(config, product) {
+  const candidates = [
+    ...imageLocations(config, product.handle, product.image_url),
+    ...imageLocations(config, FALLBACK_HANDLE, null)
+  ];
+
+  for (const location of candidates) {
+    const image = await loadLocation(config, location);
+    if (image) return image;
+  }
+
+  if (!reportedMisses.has(product.handle)) {
+    reportedMisses.add(product.handle);
+    console.error(`No image available for ${product.handle} (sources: ${config.images.sources.join(', ')})`);
+  }
+  return null;
+}
+
+async function resize(config, image, size) {
+  const { format, quality, thumbnailSize, fullSize } = config.images;
+  const maxEdge = size === 'thumbnail' ? thumbnailSize : fullSize;
+  if (!maxEdge && format === 'original') {
+    return image;
+  }
+
+  const key = `${size}:${format}`;
+  const variants = variantCache.get(image) || new Map();
+  variantCache.set(image, variants);
+  if (variants.has(key)) {
+    return variants.get(key);
+  }
+
+  let resized;
+  try {
+    let pipeline = sharp(image.buffer);
+    if (maxEdge) {
+      pipeline = pipeline.resize({ width: maxEdge, height: maxEdge, fit: 'inside', withoutEnlargement: true });
+    }
+    if (format === 'jpeg') {
+      pipeline = pipeline.flatten({ background: '#ffffff' });
+    }
+    if (format !== 'original') {
+      pipeline = pipeline.toFormat(format, { quality });
+    }
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    resized = { buffer: data, mimeType: `image/${info.format}` };
+  } catch (error) {
+    console.error(`Could not resize image to ${size} ${format}:`, error.message);
+    resized = image;
+  }
+
+  variants.set(key, resized);
+  return resized;
+}
+
+/**
+ * Image for a product as { buffer, mimeType } at the requested size, falling
+ * back to the store logo. Null for size "none", or when no source can
+ * provide either image.
+ */
+export async function getProductImage(config, product, size = 'full') {
+  if (size === 'none') {
+    return null;
+  }
+
+  const image = await loadProductImage(config, product);
+  return image ? await resize(config, image, size) : null;
+}
+
+// Image as base64 for MCP image content blocks
+export async function getProductImageBase64(config, product, size) {
+  const image = await getProductImage(config, product, size);
+  return image ? { data: image.buffer.toString('base64'), mimeType: image.mimeType } : null;
+}
+
+// Image as a data URL for embedding in MCP-UI HTML
+export async function getProductImageDataUrl(config, product, size) {
+  const image = await getProductImage(config, product, size);
+  return image ? `data:${image.mimeType};base64,${image.buffer.toString('base64')}` : null;
+}
+
+// Public image URL for clients that load images themselves
+export function getProductImageUrl(config, product) {
+  if (product.image_url) {
+    return new URL(product.image_url, `${config.storeUrl}/`).toString();
+  }
+  return storeImageUrl(config, product.handle);
+}
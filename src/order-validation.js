@@ -0,0 +1,131 @@
+// Pre-flight checks for an order before it is sent to the store. Every item
+// must name an existing product, one of its variants when it is sold in
+// several options, and a whole positive quantity that the variant has in
+// stock (quantities of the same variant across items are added up).
+import { fetchProducts, fetchProduct } from './store.js';
+import { sameId } from './util.js';
+
+// Variant options as "L (variant 6), XL (variant 7)"
+const describeVariants = (product) => product.variants
+  .map(variant => `${variant.option1_value} (variant ${variant.id})`)
+  .join(', ');
+
+/**
+ * The variant of `product` an item refers to, as { variant } or { problem }.
+ * Products with a single variant need no variant_id; products without
+ * variants resolve to a null variant.
+ */
+export function resolveVariant(product, variantId) {
+  if (variantId === undefined || variantId === null) {
+    if (product.variants.length > 1) {
+      return {
+        problem: {
+          code: 'variant_required',
+          message: `${product.title} comes in several options; choose a variant_id: ${describeVariants(product)}`
+        }
+      };
+    }
+    return { variant: product.variants[0] || null };
+  }
+
+  const variant = product.variants.find(v => sameId(v.id, variantId));
+  if (!variant) {
+    return {
+      problem: {
+        code: 'variant_not_found',
+        message: `Variant ${variantId} is not an option for ${product.title}; choose one of: ${describeVariants(product) || 'none'}`
+      }
+    };
+  }
+  return { variant };
+}
+
+async function findProduct(config, productId) {
+  try {
+    return await fetchProduct(config, productId, { fresh: true });
+  } catch (error) {
+    if (error.code === 'not_found') return null;
+    throw error;
+  }
+}
+
+/**
+ * Check order items against the catalog. Returns { items, lines, total,
+ * problems }: `items` are the valid items ready to submit (variant ids
+ * filled in), `lines` carry their product, variant, unit price and
+ * subtotal, `total` is their expected total, and `problems` lists
+ * { item, product_id, variant_id, code, message } for every item that
+ * cannot be ordered (`item` is its 1-based position).
+ */
+export async function validateOrder(config, items) {
+  const problems = [];
+  const lines = [];
+  const report = (index, item, code, message) => problems.push({
+    item: index + 1,
+    product_id: item.product_id ?? null,
+    variant_id: item.variant_id ?? null,
+    code,
+    message
+  });
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return { items: [], lines, total: 0, problems: [{ item: null, product_id: null, variant_id: null, code: 'empty_order', message: 'An order needs at least one item' }] };
+  }
+
+  // Stock must be current, so the catalog is read fresh (or confirmed
+  // unchanged with a 304) rather than served from the cache, where it may
+  // be stale for minutes. One read covers every item it lists.
+  const catalog = await fetchProducts(config, {}, { fresh: true });
+
+  for (const [index, item] of items.entries()) {
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      report(index, item, 'invalid_quantity', `Quantity must be a whole number of at least 1 (got ${item.quantity})`);
+      continue;
+    }
+
+    const product = catalog.find(p => sameId(p.id, item.product_id)) || await findProduct(config, item.product_id);
+    if (!product) {
+      report(index, item, 'product_not_found', `Product ${item.product_id} not found`);
+      continue;
+    }
+
+    const { variant, problem } = resolveVariant(product, item.variant_id);
+    if (problem) {
+      report(index, item, problem.code, problem.message);
+      continue;
+    }
+
+    const unit_price = variant?.price ?? product.price;
+    lines.push({ index, product, variant, quantity: item.quantity, unit_price, subtotal: unit_price * item.quantity });
+  }
+
+  // Stock is checked per variant, over every item that orders it
+  const ordered = new Map();
+  for (const line of lines) {
+    const key = `${line.product.id}:${line.variant?.id ?? ''}`;
+    ordered.set(key, [...(ordered.get(key) || []), line]);
+  }
+  for (const sameVariant of ordered.values()) {
+    const { product, variant } = sameVariant[0];
+    const stock = variant ? variant.inventory_qty : product.inventory_qty;
+    const quantity = sameVariant.reduce((sum, line) => sum + line.quantity, 0);
+    if (quantity > stock) {
+      const name = `${product.title}${variant && product.variants.length > 1 ? ` (${variant.option1_value})` : ''}`;
+      for (const line of sameVariant) {
+        report(line.index, items[line.index], stock > 0 ? 'insufficient_stock' : 'out_of_stock',
+          stock > 0 ? `Only ${stock} of ${name} in stock; ${quantity} requested` : `${name} is out of stock`);
+      }
+    }
+  }
+
+  problems.sort((a, b) => a.item - b.item);
+  const failed = new Set(problems.map(problem => problem.item));
+  const valid = lines.filter(line => !failed.has(line.index + 1));
+  return {
+    items: valid.map(({ product, variant, quantity }) =>
+      variant ? { product_id: product.id, variant_id: variant.id, quantity } : { product_id: product.id, quantity }),
+    lines: valid,
+    total: Math.round(valid.reduce((sum, line) => sum + line.subtotal, 0) * 100) / 100,
+    problems
+  };
+}
@@ -0,0 +1,57 @@
+// Opaque cursor pagination following the MCP convention: a page carries a
+// `nextCursor` while more results remain, and the client passes it back as
+// `cursor` to continue. Cursors are bound to the listing they came from so
+// one cannot be replayed against a different query.
+import { fingerprint } from './util.js';
+
+export class InvalidCursorError extends Error {
+  constructor(message = 'Invalid or expired cursor') {
+    super(message);
+    this.name = 'InvalidCursorError';
+  }
+}
+
+const MAX_PAGE_SIZE = 50;
+
+// Short digest identifying a listing, e.g. the tool name plus its filters
+function scopeKey(scope) {
+  return fingerprint(scope).slice(0, 12);
+}
+
+function encodeCursor(offset, scope) {
+  return Buffer.from(JSON.stringify({ o: offset, s: scopeKey(scope) })).toString('base64url');
+}
+
+function decodeCursor(cursor, scope) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (error) {
+    throw new InvalidCursorError();
+  }
+
+  if (!Number.isInteger(decoded?.o) || decoded.o < 0) {
+    throw new InvalidCursorError();
+  }
+  if (decoded.s !== scopeKey(scope)) {
+    throw new InvalidCursorError('Cursor does not belong to this query; start again without a cursor');
+  }
+  return decoded.o;
+}
+
+/**
+ * One page of `items`: { items, offset, total, nextCursor }. `scope`
+ * describes the listing (tool name and filters) the cursor is bound to.
+ */
+export function paginate(items, { cursor, limit, scope }) {
+  const pageSize = Math.min(Math.max(Math.floor(limit) || 1, 1), MAX_PAGE_SIZE);
+  const offset = cursor ? decodeCursor(cursor, scope) : 0;
+  const end = offset + pageSize;
+
+  return {
+    items: items.slice(offset, end),
+    offset,
+    total: items.length,
+    nextCursor: end < items.length ? encodeCursor(end, scope) : undefined
+  };
+}
@@ -0,0 +1,86 @@
+// Failure handling for calls to an upstream service: retries with jittered
+// exponential backoff, and a circuit breaker that fails fast once the
+// upstream keeps failing.
+//
+// Breaker states: closed (requests flow, consecutive failures are counted),
+// open (requests are refused until the cooldown ends) and half-open (one
+// trial request decides whether to close again or re-open).
+
+export class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`${name} is unavailable; not retrying until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+// name -> breaker state
+const breakers = new Map();
+
+/**
+ * The circuit breaker for `name`: open after `failureThreshold` consecutive
+ * failures, retried after `cooldown` ms.
+ */
+export function getCircuitBreaker(name, { failureThreshold, cooldown }) {
+  if (!breakers.has(name)) {
+    breakers.set(name, { state: 'closed', failures: 0, retryAt: 0, trialInFlight: false });
+  }
+  const breaker = breakers.get(name);
+
+  return {
+    // Throws CircuitOpenError instead of letting a request through
+    enter() {
+      if (breaker.state === 'open' && Date.now() >= breaker.retryAt) {
+        breaker.state = 'half-open';
+        breaker.trialInFlight = false;
+      }
+      if (breaker.state === 'open' || (breaker.state === 'half-open' && breaker.trialInFlight)) {
+        throw new CircuitOpenError(name, breaker.retryAt);
+      }
+      if (breaker.state === 'half-open') {
+        breaker.trialInFlight = true;
+      }
+    },
+
+    succeeded() {
+      if (breaker.state !== 'closed') {
+        console.error(`✅ ${name} recovered; circuit closed`);
+      }
+      Object.assign(breaker, { state: 'closed', failures: 0, trialInFlight: false });
+    },
+
+    failed() {
+      breaker.failures++;
+      if (breaker.state === 'half-open' || (failureThreshold && breaker.failures >= failureThreshold)) {
+        if (breaker.state !== 'open') {
+          console.error(`⚠️ ${name} failed ${breaker.failures} times in a row; circuit open for ${cooldown} ms`);
+        }
+        Object.assign(breaker, { state: 'open', retryAt: Date.now() + cooldown, trialInFlight: false });
+      }
+    }
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run `attempt(number)` up to `retries` + 1 times. `retryDelay(error)`
+ * returns null when the error is final, or a minimum wait in ms (e.g. from
+ * Retry-After). Waits grow exponentially from `baseDelay` up to `maxDelay`,
+ * with full jitter. An error that asks for a longer wait than `maxDelay` is
+ * thrown rather than retried early.
+ */
+export async function withRetries(attempt, { retries, baseDelay, maxDelay, retryDelay }) {
+  for (let number = 0; ; number++) {
+    try {
+      return await attempt(number);
+    } catch (error) {
+      const minimum = number < retries ? retryDelay(error) : null;
+      if (minimum === null || minimum > maxDelay) {
+        throw error;
+      }
+      const backoff = Math.random() * Math.min(maxDelay, baseDelay * 2 ** number);
+      await sleep(Math.max(minimum, backoff));
+    }
+  }
+}
@@ -0,0 +1,115 @@
+// MCP resources: JSON product documents, or MCP-UI HTML views in "mcp-ui" mode
+import { fetchProducts, fetchProduct } from './store.js';
+import { stripHtml } from './util.js';
+import { getProductImageDataUrl, getProductImageUrl } from './images.js';
+import { uiResourceContent, renderCatalogHtml, renderProductHtml } from './ui.js';
+import { paginate } from './pagination.js';
+
+const resourceScheme = (config) => config.ui === 'mcp-ui' ? 'ui' : 'descope';
+
+const RESOURCES_PAGE_SIZE = 50;
+
+export async function listResources(config, cursor) {
+  const scheme = resourceScheme(config);
+  const mimeType = scheme === 'ui' ? 'text/html' : 'application/json';
+
+  let products;
+  try {
+    products = await fetchProducts(config);
+  } catch (error) {
+    return { resources: [] };
+  }
+
+  const resources = products.map(product => ({
+    uri: `${scheme}://product/${product.id}`,
+    name: `${product.title} - Product Details`,
+    description: `Detailed view of ${product.title} with pricing and variants`,
+    mimeType
+  }));
+
+  resources.unshift({
+    uri: `${scheme}://catalog`,
+    name: 'Descope Product Catalog',
+    description: 'Complete catalog of all Descope authentication products',
+    mimeType
+  });
+
+  const page = paginate(resources, { cursor, limit: RESOURCES_PAGE_SIZE, scope: ['resources', scheme] });
+  return { resources: page.items, nextCursor: page.nextCursor };
+}
+
+async function readCatalog(config) {
+  const products = await fetchProducts(config);
+
+  if (config.ui === 'mcp-ui') {
+    const images = Object.fromEntries(await Promise.all(
+      products.map(async p => [p.handle, await getProductImageDataUrl(config, p, 'thumbnail')])
+    ));
+    return { contents: [uiResourceContent('ui://catalog', renderCatalogHtml(products, images)).resource] };
+  }
+
+  return {
+    contents: [
+      {
+        uri: 'descope://catalog',
+        mimeType: 'application/json',
+        text: JSON.stringify({
+          catalog: {
+            title: '🛡️ Descope Authentication Store',
+            description: 'Premium authentication-themed products for developers',
+            products: products.map(p => ({
+              id: p.id,
+              title: p.title,
+              price: p.price,
+              compareAtPrice: p.compare_at_price,
+              description: stripHtml(p.body).substring(0, 200),
+              image: getProductImageUrl(config, p),
+              inStock: p.inventory_qty > 0,
+              variants: p.variants.length,
+              tags: p.tags
+            }))
+          }
+        }, null, 2)
+      }
+    ]
+  };
+}
+
+async function readProduct(config, productId) {
+  const product = await fetchProduct(config, productId);
+
+  if (config.ui === 'mcp-ui') {
+    const html = renderProductHtml(product, await getProductImageDataUrl(config, product, 'full'));
+    return { contents: [uiResourceContent(`ui://product/${productId}`, html).resource] };
+  }
+
+  return {
+    contents: [
+      {
+        uri: `descope://product/${productId}`,
+        mimeType: 'application/json',
+        text: JSON.stringify({
+          product: {
+            ...product,
+            image: getProductImageUrl(config, product)
+          }
+        }, null, 2)
+      }
+    ]
+  };
+}
+
+export async function readResource(config, uri) {
+  const scheme = resourceScheme(config);
+
+  if (uri === `${scheme}://catalog`) {
+    return await readCatalog(config);
+  }
+
+  const productMatch = uri.match(/^(\w+):\/\/product\/(\d+)$/);
+  if (productMatch && productMatch[1] === scheme) {
+    return await readProduct(config, parseInt(productMatch[2]));
+  }
+
+  throw new Error(`Resource not found: ${uri}`);
+}
@@ -0,0 +1,283 @@
+// In-process full-text index over the catalog for search_products.
+//
+// Titles, bodies, tags, product types and variant option values are
+// tokenised and stemmed into an inverted index, and queries are ranked with
+// BM25F (field-weighted BM25). Each query term also matches synonyms
+// ("shirt" -> "tee"), near-miss spellings ("hoddie" -> "hoodie") and, from
+// three letters on, longer terms it prefixes; those matches score lower than
+// exact ones. The index is rebuilt whenever the catalog contents change.
+import { stripHtml, fingerprint } from './util.js';
+
+const FIELD_BOOSTS = {
+  title: 3,
+  tags: 2,
+  type: 2,
+  variants: 1,
+  body: 1
+};
+
+// BM25 parameters: term frequency saturation and length normalisation
+const K1 = 1.2;
+const B = 0.75;
+
+const MATCH_WEIGHTS = {
+  exact: 1,
+  synonym: 0.8,
+  fuzzy: 0.6,
+  prefix: 0.5
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'our', 'the', 'this', 'to', 'with', 'your'
+]);
+
+// Groups of interchangeable words, by stem
+const SYNONYM_GROUPS = [
+  ['tee', 'shirt', 'tshirt'],
+  ['hoody', 'sweatshirt', 'jumper', 'pullover'],
+  ['cap', 'hat', 'beanie'],
+  ['mug', 'cup'],
+  ['sticker', 'decal'],
+  ['bottle', 'flask'],
+  ['auth', 'authentication', 'login']
+];
+
+const SYNONYMS = new Map();
+for (const group of SYNONYM_GROUPS) {
+  for (const word of group) {
+    SYNONYMS.set(word, group.filter(other => other !== word));
+  }
+}
+
+// Light suffix stripping so plurals and simple inflections share a stem
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let stemmed = word;
+  if (stemmed.endsWith('ies')) stemmed = `${stemmed.slice(0, -3)}y`;
+  else if (stemmed.endsWith('ie')) stemmed = `${stemmed.slice(0, -2)}y`;
+  else if (/(ss|x|z|ch|sh)es$/.test(stemmed)) stemmed = stemmed.slice(0, -2);
+  else if (stemmed.endsWith('s') && !stemmed.endsWith('ss') && !stemmed.endsWith('us')) stemmed = stemmed.slice(0, -1);
+
+  if (stemmed.length > 5 && stemmed.endsWith('ing')) stemmed = stemmed.slice(0, -3);
+  else if (stemmed.length > 4 && stemmed.endsWith('ed')) stemmed = stemmed.slice(0, -2);
+  else if (stemmed.length > 4 && stemmed.endsWith('ly')) stemmed = stemmed.slice(0, -2);
+  return stemmed;
+}
+
+// Words with their positions in the original text, for highlighting
+function words(text) {
+  return [...String(text || '').matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+    word: match[0],
+    index: match.index,
+    term: stem(match[0].toLowerCase())
+  }));
+}
+
+const searchable = (text) => words(text)
+  .filter(({ word }) => word.length > 1 && !STOP_WORDS.has(word.toLowerCase()));
+
+export function tokenize(text) {
+  return searchable(text).map(({ term }) => term);
+}
+
+// Damerau-Levenshtein (optimal string alignment) distance, or max + 1 once
+// it is certain to exceed max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    if (Math.min(...current) > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function productFields(product) {
+  return {
+    title: product.title,
+    tags: product.tags.join(' '),
+    type: product.type,
+    variants: product.variants.map(variant => variant.option1_value).join(' '),
+    body: stripHtml(product.body, ' ')
+  };
+}
+
+function buildIndex(products) {
+  const postings = new Map();
+  const lengths = [];
+
+  products.forEach((product, doc) => {
+    let length = 0;
+    for (const [field, text] of Object.entries(productFields(product))) {
+      const boost = FIELD_BOOSTS[field];
+      for (const term of tokenize(text)) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const docs = postings.get(term);
+        docs.set(doc, (docs.get(doc) || 0) + boost);
+        length += boost;
+      }
+    }
+    lengths.push(length);
+  });
+
+  const averageLength = lengths.reduce((sum, length) => sum + length, 0) / (lengths.length || 1);
+  return { products, postings, lengths, averageLength };
+}
+
+// Index terms a query term matches, each with its match kind and weight
+function expandTerm(index, term) {
+  const matches = new Map();
+  const add = (candidate, kind) => {
+    if (!index.postings.has(candidate)) return;
+    const existing = matches.get(candidate);
+    if (!existing || MATCH_WEIGHTS[kind] > existing.weight) {
+      matches.set(candidate, { kind, weight: MATCH_WEIGHTS[kind] });
+    }
+  };
+
+  add(term, 'exact');
+  for (const synonym of SYNONYMS.get(term) || []) {
+    add(synonym, 'synonym');
+  }
+
+  const maxDistance = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  for (const candidate of index.postings.keys()) {
+    if (maxDistance > 0 && editDistance(term, candidate, maxDistance) <= maxDistance) {
+      add(candidate, 'fuzzy');
+    }
+    if (term.length >= 3 && candidate.length > term.length && candidate.startsWith(term)) {
+      add(candidate, 'prefix');
+    }
+  }
+  return matches;
+}
+
+function idf(index, term) {
+  const documentFrequency = index.postings.get(term).size;
+  const total = index.products.length;
+  return Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+}
+
+// Wrap matched words in **bold**; long texts are cut to a window around the first match
+function highlight(text, matchedTerms, maxLength) {
+  const found = words(text).filter(({ term }) => matchedTerms.has(term));
+  if (found.length === 0) {
+    return maxLength ? null : text;
+  }
+
+  let start = 0;
+  let end = text.length;
+  if (maxLength && text.length > maxLength) {
+    start = Math.max(0, found[0].index - Math.floor(maxLength / 3));
+    end = Math.min(text.length, start + maxLength);
+  }
+
+  let result = '';
+  let cursor = start;
+  for (const { word, index } of found) {
+    if (index < start || index + word.length > end) continue;
+    result += `${text.slice(cursor, index)}**${word}**`;
+    cursor = index + word.length;
+  }
+  result += text.slice(cursor, end);
+  return `${start > 0 ? '…' : ''}${result.trim()}${end < text.length ? '…' : ''}`;
+}
+
+let cached = { products: null, fingerprint: null, index: null };
+
+// The index for this catalog, rebuilt only when the catalog has changed
+export function getSearchIndex(products) {
+  // The same cached catalog array is passed until the store cache refreshes
+  if (cached.products === products) {
+    return cached.index;
+  }
+  const print = fingerprint(products);
+  if (cached.fingerprint !== print) {
+    cached.index = buildIndex(products);
+  }
+  cached = { products, fingerprint: print, index: cached.index };
+  return cached.index;
+}
+
+/**
+ * Products matching any query term, best first, as
+ * { product, score, matches, highlights: { title, snippet } }.
+ * `matches` lists { query, word, kind } for each query word that matched:
+ * the word as typed, the product word it matched and how ("exact",
+ * "synonym", "fuzzy" or "prefix"). A query with no searchable words (only
+ * stop words) matches everything.
+ */
+export function searchCatalog(products, query) {
+  const index = getSearchIndex(products);
+  const queryWords = new Map();
+  for (const { word, term } of searchable(query)) {
+    if (!queryWords.has(term)) queryWords.set(term, word);
+  }
+  const queryTerms = [...queryWords.keys()];
+  if (queryTerms.length === 0) {
+    return products.map(product => ({ product, score: 0, matches: [], highlights: null }));
+  }
+  const scores = new Map();
+  const matchedByDoc = new Map();
+
+  for (const queryTerm of queryTerms) {
+    const expansions = expandTerm(index, queryTerm);
+    // Per document: the best-scoring expansion, so a term and its synonym do
+    // not add up; the closest kind of match, to report; every matched term,
+    // to highlight
+    const best = new Map();
+
+    for (const [term, { kind, weight }] of expansions) {
+      const termIdf = idf(index, term);
+      for (const [doc, frequency] of index.postings.get(term)) {
+        const norm = K1 * (1 - B + B * index.lengths[doc] / index.averageLength);
+        const score = weight * termIdf * (frequency * (K1 + 1)) / (frequency + norm);
+        const entry = best.get(doc) || { score: 0, term, kind, terms: [] };
+        entry.score = Math.max(entry.score, score);
+        if (weight > MATCH_WEIGHTS[entry.kind]) Object.assign(entry, { term, kind });
+        entry.terms.push(term);
+        best.set(doc, entry);
+      }
+    }
+
+    for (const [doc, { score, term, kind, terms }] of best) {
+      scores.set(doc, (scores.get(doc) || 0) + score);
+      if (!matchedByDoc.has(doc)) matchedByDoc.set(doc, []);
+      matchedByDoc.get(doc).push({ query: queryWords.get(queryTerm), term, kind, terms });
+    }
+  }
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([doc, score]) => {
+      const product = index.products[doc];
+      const matches = matchedByDoc.get(doc);
+      const matchedTerms = new Set(matches.flatMap(match => match.terms));
+      // First spelling of each stem in the product, to report matches as written
+      const spellings = new Map();
+      for (const { word, term } of words(Object.values(productFields(product)).join(' '))) {
+        if (!spellings.has(term)) spellings.set(term, word.toLowerCase());
+      }
+      return {
+        product,
+        score,
+        matches: matches.map(({ query, term, kind }) => ({ query, word: spellings.get(term) || term, kind })),
+        highlights: {
+          title: highlight(product.title, matchedTerms),
+          snippet: highlight(stripHtml(product.body, ' ').replace(/\s+/g, ' ').trim(), matchedTerms, 160)
+        }
+      };
+    });
+}
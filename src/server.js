@@ -0,0 +1,81 @@
+// Single MCP server core shared by every transport, auth mode and UI mode
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ReadResourceRequestSchema,
+  ErrorCode,
+  McpError,
+} from '@modelcontextprotocol/sdk/types.js';
+import { listTools, callTool } from './tools.js';
+import { listResources, readResource } from './resources.js';
+import { InvalidCursorError } from './pagination.js';
+
+export const SERVER_NAME = 'descope-store-mcp';
+export const SERVER_VERSION = '2.0.0';
+
+// Build an MCP server instance; HTTP transports create one per session
+export function createMcpServer(config) {
+  const server = new Server(
+    {
+      name: SERVER_NAME,
+      version: SERVER_VERSION,
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {},
+      },
+    }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return { tools: listTools() };
+  });
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    // Tools can ask the user questions when the client supports elicitation
+    const elicit = server.getClientCapabilities()?.elicitation
+      ? (params, options) => server.elicitInput(params, { ...options, relatedRequestId: extra.requestId })
+      : null;
+    return await callTool(name, args, { config, authInfo: extra.authInfo, sessionId: extra.sessionId, elicit });
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+    try {
+      return await listResources(config, request.params?.cursor);
+    } catch (error) {
+      if (error instanceof InvalidCursorError) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+      throw error;
+    }
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    return await readResource(config, request.params.uri);
+  });
+
+  return server;
+}
+
+// Start the configured transport
+export async function startServer(config) {
+  switch (config.transport) {
+    case 'stdio': {
+      const { startStdioServer } = await import('./transports/stdio.js');
+      return await startStdioServer(config);
+    }
+    case 'sse':
+    case 'streamable-http': {
+      const { startHttpServer } = await import('./transports/http.js');
+      return await startHttpServer(config);
+    }
+    case 'serverless':
+      throw new Error('The serverless transport is exported by api/index.js and deployed to Vercel, not started locally');
+    default:
+      throw new Error(`Unknown transport: ${config.transport}`);
+  }
+}
@@ -0,0 +1,386 @@
+// Descope Store API client. Responses are validated and normalised into one
+// product model, whichever payload shape the store serves:
+//
+//   current: GET /api/products -> { products: [...] } with body, type, price,
+//            inventory_qty and variants[].option1_value
+//   legacy:  GET /api/products -> [...] with description, product_type,
+//            image_url and the price on variants[0]
+//
+// Product reads go through the shared cache (see cache.js); the products
+// they return are shared between callers and must not be modified.
+//
+// Every request has a timeout (storeClient.timeout). Idempotent requests are
+// retried on timeouts, connection failures, 429 and 502-504, and a circuit
+// breaker per store refuses requests for storeClient.cooldown ms once
+// storeClient.failureThreshold calls in a row have failed.
+import { z } from 'zod';
+import { cached, peek, invalidate } from './cache.js';
+import { getCircuitBreaker, withRetries } from './resilience.js';
+
+/**
+ * `code` classifies the failure: unreachable, timeout, unavailable (circuit
+ * open), rate_limited, server_error, not_found, rejected (other 4xx) or
+ * bad_response. `retryAfter` is a suggested wait in ms, and `detail` the
+ * store's own explanation, when known.
+ */
+export class StoreApiError extends Error {
+  constructor(message, { status = null, path = null, code = null, retryAfter = null, detail = null } = {}) {
+    super(message);
+    this.name = 'StoreApiError';
+    this.status = status;
+    this.path = path;
+    this.code = code;
+    this.retryAfter = retryAfter;
+    this.detail = detail;
+  }
+}
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+// Failures that mean the store itself is in trouble, as opposed to a bad request
+const OUTAGE_CODES = ['unreachable', 'timeout', 'server_error'];
+
+const id = z.union([z.number(), z.string()]);
+const price = z.coerce.number();
+const optionalPrice = z.union([z.null(), z.coerce.number()]).optional();
+const quantity = z.coerce.number().int();
+
+const VariantSchema = z.object({
+  id,
+  title: z.string().nullish(),
+  option1_value: z.string().nullish(),
+  option1: z.string().nullish(),
+  price: price.optional(),
+  inventory_qty: quantity.optional(),
+  inventory_quantity: quantity.optional(),
+  sku: z.string().nullish()
+}).passthrough();
+
+const ProductSchema = z.object({
+  id,
+  title: z.string(),
+  handle: z.string().nullish(),
+  body: z.string().nullish(),
+  description: z.string().nullish(),
+  vendor: z.string().nullish(),
+  type: z.string().nullish(),
+  product_type: z.string().nullish(),
+  price: price.optional(),
+  compare_at_price: optionalPrice,
+  inventory_qty: quantity.optional(),
+  sku: z.string().nullish(),
+  tags: z.union([z.array(z.string()), z.string()]).nullish(),
+  variants: z.array(VariantSchema).default([]),
+  image_url: z.string().nullish(),
+  created_at: z.string().nullish(),
+  updated_at: z.string().nullish()
+}).passthrough().refine(
+  product => product.price !== undefined || product.variants.some(v => v.price !== undefined),
+  { message: 'Product has no price or priced variants', path: ['price'] }
+);
+
+const ProductListSchema = z.object({ products: z.array(ProductSchema) }).passthrough();
+const LegacyProductListSchema = z.array(ProductSchema);
+
+const OrderSchema = z.object({
+  id,
+  customer_email: z.string(),
+  status: z.string(),
+  total_price: price,
+  items: z.array(z.object({
+    product_id: id,
+    variant_id: id.nullish(),
+    product_title: z.string().nullish(),
+    variant_sku: z.string().nullish(),
+    quantity: quantity,
+    price
+  }).passthrough()),
+  created_at: z.string()
+}).passthrough();
+
+const OrderListSchema = z.object({ orders: z.array(OrderSchema) }).passthrough();
+
+const slugify = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+function normalizeVariant(variant, product) {
+  return {
+    id: variant.id,
+    option1_value: variant.option1_value || variant.option1 || variant.title || 'Default',
+    price: variant.price ?? product.price,
+    inventory_qty: variant.inventory_qty ?? variant.inventory_quantity ?? 0,
+    sku: variant.sku || null
+  };
+}
+
+// The single product model every tool, resource and renderer reads
+function normalizeProduct(raw) {
+  const basePrice = raw.price ?? raw.variants.find(v => v.price !== undefined).price;
+  const variants = raw.variants.map(variant => normalizeVariant(variant, { price: basePrice }));
+  const tags = typeof raw.tags === 'string'
+    ? raw.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+    : raw.tags || [];
+
+  return {
+    id: raw.id,
+    handle: raw.handle || slugify(raw.title),
+    title: raw.title,
+    body: raw.body ?? raw.description ?? '',
+    vendor: raw.vendor || 'Descope',
+    type: raw.type || raw.product_type || 'Uncategorized',
+    price: basePrice,
+    compare_at_price: raw.compare_at_price ?? null,
+    inventory_qty: raw.inventory_qty ?? variants.reduce((sum, v) => sum + v.inventory_qty, 0),
+    sku: raw.sku || variants[0]?.sku || null,
+    tags,
+    variants,
+    image_url: raw.image_url || null,
+    created_at: raw.created_at || null,
+    updated_at: raw.updated_at || null
+  };
+}
+
+// Describe the first few schema violations, e.g. "products.0.price: Expected number"
+function describeIssues(error) {
+  return error.issues
+    .slice(0, 3)
+    .map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+    .join('; ');
+}
+
+function parse(schema, data, path) {
+  const result = schema.safeParse(data);
+  if (!result.success) {
+    throw new StoreApiError(
+      `Store API returned an unexpected response for ${path} (${describeIssues(result.error)})`,
+      { status: 502, path, code: 'bad_response' }
+    );
+  }
+  return result.data;
+}
+
+// Retry-After in ms, from either delay-seconds or an HTTP date
+function retryAfter(response) {
+  const value = response.headers.get('retry-after');
+  if (!value) return null;
+  const ms = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) ? Math.max(ms, 0) : null;
+}
+
+// The store's own explanation of a rejected request, if it sent one
+async function errorDetail(response) {
+  try {
+    const body = await response.json();
+    return typeof body?.error === 'string' ? body.error : body?.message || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function attempt(config, path, options) {
+  const { timeout } = config.storeClient;
+  let response;
+  try {
+    response = await fetch(`${config.storeUrl}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...options.headers
+      },
+      signal: timeout ? AbortSignal.timeout(timeout) : undefined
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new StoreApiError(`Store API did not respond within ${timeout} ms (${path})`, { path, code: 'timeout' });
+    }
+    throw new StoreApiError(`Store API is unreachable at ${config.storeUrl} (${error.cause?.code || error.message})`, { path, code: 'unreachable' });
+  }
+
+  if (!response.ok && response.status !== 304) {
+    const { status } = response;
+    const detail = status < 500 ? await errorDetail(response) : null;
+    const code = status === 404 ? 'not_found'
+      : status === 429 ? 'rate_limited'
+        : status >= 500 ? 'server_error'
+          : 'rejected';
+    throw new StoreApiError(
+      `Store API request failed with status ${status}${detail ? `: ${detail}` : ''}`,
+      { status, path, code, retryAfter: retryAfter(response), detail }
+    );
+  }
+  return response;
+}
+
+// Send a request; any response other than 2xx or 304 is an error
+async function send(config, path, options = {}) {
+  const { retries, retryDelay, maxRetryDelay, failureThreshold, cooldown } = config.storeClient;
+  const breaker = getCircuitBreaker(config.storeUrl, { failureThreshold, cooldown });
+  const idempotent = IDEMPOTENT_METHODS.includes((options.method || 'GET').toUpperCase());
+
+  return withRetries(async () => {
+    try {
+      breaker.enter();
+    } catch (error) {
+      throw new StoreApiError(
+        `Store API at ${config.storeUrl} is failing; requests paused until ${new Date(error.retryAt).toISOString()}`,
+        { path, code: 'unavailable', retryAfter: error.retryAt - Date.now() }
+      );
+    }
+
+    try {
+      const response = await attempt(config, path, options);
+      breaker.succeeded();
+      return response;
+    } catch (error) {
+      if (OUTAGE_CODES.includes(error.code)) {
+        breaker.failed();
+      } else {
+        breaker.succeeded();
+      }
+      throw error;
+    }
+  }, {
+    retries: idempotent ? retries : 0,
+    baseDelay: retryDelay,
+    maxDelay: maxRetryDelay,
+    retryDelay: error => ['timeout', 'unreachable'].includes(error.code) || RETRYABLE_STATUSES.includes(error.status)
+      ? error.retryAfter || 0
+      : null
+  });
+}
+
+async function readJson(response, path) {
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new StoreApiError(`Store API returned invalid JSON for ${path}`, { status: 502, path, code: 'bad_response' });
+  }
+}
+
+export async function storeRequest(config, path, options = {}) {
+  return readJson(await send(config, path, options), path);
+}
+
+// GET through the cache, revalidating with the previous response's
+// validators. `transform` turns the JSON into the cached value; `options`
+// go to cached().
+function cachedGet(config, path, transform, options) {
+  return cached(config, `${config.storeUrl}${path}`, async (previous) => {
+    const headers = {};
+    if (previous?.etag) headers['If-None-Match'] = previous.etag;
+    if (previous?.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+
+    const response = await send(config, path, { headers });
+    if (response.status === 304 && previous) {
+      return null;
+    }
+    return {
+      value: transform(await readJson(response, path)),
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified')
+    };
+  }, options);
+}
+
+// Drop cached catalog and product responses, e.g. after stock has changed
+export function invalidateCatalog(config) {
+  invalidate(`${config.storeUrl}/api/products`);
+}
+
+// Legacy stores ignore query parameters, so apply them locally for bare arrays
+function filterLegacyProducts(products, params) {
+  const query = params.query?.toLowerCase();
+  return products.filter(product =>
+    (!query || product.title.toLowerCase().includes(query) || product.body.toLowerCase().includes(query)) &&
+    (!params.type || product.type.toLowerCase() === params.type.toLowerCase())
+  );
+}
+
+// `options.fresh` skips cached copies the store has not just confirmed
+export async function fetchProducts(config, params = {}, options = {}) {
+  const query = new URLSearchParams(params).toString();
+  const path = `/api/products${query ? `?${query}` : ''}`;
+
+  return cachedGet(config, path, data => Array.isArray(data)
+    ? filterLegacyProducts(parse(LegacyProductListSchema, data, path).map(normalizeProduct), params)
+    : parse(ProductListSchema, data, path).products.map(normalizeProduct), options);
+}
+
+export async function fetchProduct(config, productId, options = {}) {
+  // A fresh copy of the full catalog already has every product
+  const listed = !options.fresh && peek(config, `${config.storeUrl}/api/products`)?.find(p => String(p.id) === String(productId));
+  if (listed) {
+    return listed;
+  }
+
+  const path = `/api/products/${encodeURIComponent(productId)}`;
+  try {
+    return await cachedGet(config, path, data => normalizeProduct(parse(ProductSchema, data, path)), options);
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+    // Legacy stores only serve the list endpoint
+    const product = (await fetchProducts(config, {}, options)).find(p => String(p.id) === String(productId));
+    if (!product) {
+      throw new StoreApiError(`Product ${productId} not found`, { status: 404, path, code: 'not_found' });
+    }
+    return product;
+  }
+}
+
+/**
+ * Place an order. customer_id and tenant_id record the Descope user and
+ * tenant it belongs to, and placed_by the admin who ordered on their behalf.
+ * `idempotencyKey` is sent as the Idempotency-Key header, so a store that
+ * supports it can drop duplicates too.
+ */
+export async function createOrder(config, { customer_email, items, customer_id, tenant_id, placed_by }, { idempotencyKey } = {}) {
+  const path = '/api/orders';
+  const data = await storeRequest(config, path, {
+    method: 'POST',
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+    body: JSON.stringify({ customer_email, items, customer_id, tenant_id, placed_by })
+  });
+  // Stock levels have changed
+  invalidateCatalog(config);
+  return parse(OrderSchema, data, path);
+}
+
+const orderPath = (orderId) => `/api/orders/${encodeURIComponent(orderId)}`;
+
+export async function fetchOrder(config, orderId) {
+  const path = orderPath(orderId);
+  try {
+    return parse(OrderSchema, await storeRequest(config, path), path);
+  } catch (error) {
+    if (error.code === 'not_found') {
+      throw new StoreApiError(`Order #${orderId} not found`, { status: 404, path, code: 'not_found' });
+    }
+    throw error;
+  }
+}
+
+// Orders placed with `customer_email` (compared case-insensitively), newest first
+export async function fetchOrders(config, { customer_email }) {
+  const path = `/api/orders?${new URLSearchParams({ customer_email: customer_email.toLowerCase() })}`;
+  const data = await storeRequest(config, path);
+  const orders = Array.isArray(data)
+    ? parse(z.array(OrderSchema), data, path)
+    : parse(OrderListSchema, data, path).orders;
+
+  // Stores that ignore the parameter return everyone's orders
+  return orders
+    .filter(order => order.customer_email.toLowerCase() === customer_email.toLowerCase())
+    .sort((a, b) => (Date.parse(b.created_at) || 0) - (Date.parse(a.created_at) || 0));
+}
+
+export async function cancelOrder(config, orderId) {
+  const path = orderPath(orderId);
+  const data = await storeRequest(config, path, {
+    method: 'PATCH',
+    body: JSON.stringify({ status: 'cancelled' })
+  });
+  // Cancelled items go back into stock
+  invalidateCatalog(config);
+  return parse(OrderSchema, data, path);
+}
@@ -0,0 +1,1030 @@
+// Consolidated Descope Store tool catalog shared by every transport.
+// Handlers receive `context` = { config, authInfo, sessionId, elicit };
+// config.ui picks the rendering (markdown text, inline images or MCP-UI
+// resources), and `elicit` is set when the client can be asked questions.
+import {
+  StoreApiError,
+  fetchProducts,
+  fetchProduct,
+  createOrder as submitOrder,
+  fetchOrder,
+  fetchOrders,
+  cancelOrder as submitCancellation
+} from './store.js';
+import { IMAGE_SIZES, getProductImageBase64, getProductImageDataUrl } from './images.js';
+import { paginate } from './pagination.js';
+import { SORT_KEYS, SORT_ORDERS, readProductFilters, readProductSort, storeFilterParams, filterProducts, sortProducts } from './filters.js';
+import { searchCatalog } from './search-index.js';
+import { ADMIN_SCOPE, callerKey, callerEmail, callerUserId, callerTenant } from './identity.js';
+import { addCartItem, setCartItemQuantity, clearCart, priceCart } from './cart.js';
+import { validateOrder } from './order-validation.js';
+import { requireConfirmation } from './confirmation.js';
+import { runOnce } from './idempotency.js';
+import { uiResourceContent, renderCatalogHtml, renderProductHtml, renderSearchHtml } from './ui.js';
+import { stripHtml } from './util.js';
+
+// Inline image blocks for the "images" UI mode. One embedder serves a whole
+// tool result, so the images it adds stay within images.maxResponseBytes;
+// full-size images that would not fit are replaced by thumbnails.
+function productImageEmbedder(context, defaultSize) {
+  let remaining = context.config.images.maxResponseBytes || Infinity;
+
+  return async (product, size = defaultSize) => {
+    if (context.config.ui !== 'images') {
+      return [];
+    }
+
+    for (const candidate of size === 'full' ? ['full', 'thumbnail'] : [size]) {
+      const image = await getProductImageBase64(context.config, product, candidate);
+      if (image && image.data.length <= remaining) {
+        remaining -= image.data.length;
+        return [{ type: 'image', data: image.data, mimeType: image.mimeType }];
+      }
+    }
+    return [];
+  };
+}
+
+// Data URLs keyed by handle for the MCP-UI renderers
+async function productImageDataUrls(config, products, size) {
+  const entries = await Promise.all(
+    products.map(async product => [product.handle, await getProductImageDataUrl(config, product, size)])
+  );
+  return Object.fromEntries(entries);
+}
+
+// Human-readable filter summary, e.g. 'query "hoodie", max $50, option L'
+function describeFilters(filters) {
+  const parts = [];
+  if (filters.query) parts.push(`query "${filters.query}"`);
+  if (filters.category) parts.push(`category ${filters.category}`);
+  if (filters.vendor) parts.push(`vendor ${filters.vendor}`);
+  if (filters.min_price !== undefined) parts.push(`min $${filters.min_price}`);
+  if (filters.max_price !== undefined) parts.push(`max $${filters.max_price}`);
+  if (filters.in_stock) parts.push('in stock');
+  if (filters.tags) parts.push(`tags ${filters.tags.join(', ')}`);
+  if (filters.options) parts.push(`option ${filters.options.join(' or ')}`);
+  return parts.length > 0 ? parts.join(', ') : 'all products';
+}
+
+// Matching description excerpt, plus which query words matched loosely,
+// e.g. '"hoddie" → hoodie (fuzzy)'
+function formatSearchHit(hit) {
+  if (!hit) return '';
+  let text = hit.highlights?.snippet ? `> ${hit.highlights.snippet}\n\n` : '';
+  const loose = hit.matches.filter(match => match.kind !== 'exact');
+  if (loose.length > 0) {
+    text += `🔎 *Matched ${loose.map(match => `"${match.query}" → ${match.word} (${match.kind})`).join(', ')}*\n\n`;
+  }
+  return text;
+}
+
+// Footer telling the model where this page sits and how to fetch the next one
+function pageSummary(page) {
+  const range = `${page.offset + 1}-${page.offset + page.items.length} of ${page.total}`;
+  return page.nextCursor
+    ? `📄 Showing products ${range}. For more, call again with the same filters and cursor: "${page.nextCursor}"`
+    : `📄 Showing products ${range}.`;
+}
+
+const cursorProperty = {
+  type: 'string',
+  description: 'Opaque cursor from a previous page\'s nextCursor to continue listing'
+};
+
+const confirmationCodeProperty = {
+  type: 'string',
+  description: 'Confirmation code the customer was shown with the order preview, as they typed it to you; never guess one'
+};
+
+const imagesProperty = (defaultSize) => ({
+  type: 'string',
+  enum: IMAGE_SIZES,
+  description: `Product images to include: thumbnail, full or none (default: ${defaultSize})`
+});
+
+function formatProductSummary(product) {
+  return `**$${product.price}** ${product.compare_at_price ? `~~$${product.compare_at_price}~~ (Save $${(product.compare_at_price - product.price).toFixed(2)})` : ''}\n\n${stripHtml(product.body).substring(0, 200)}...\n\n**📦 Stock:** ${product.inventory_qty} units | **🎯 Variants:** ${product.variants.length} options\n**🏷️ Tags:** ${product.tags.join(', ')}\n**🆔 Product ID:** ${product.id}\n\n---`;
+}
+
+function calculateValueScore(product, allProducts) {
+  const prices = allProducts.map(p => p.price);
+  const maxPrice = Math.max(...prices);
+  const minPrice = Math.min(...prices);
+  const priceScore = maxPrice === minPrice ? 0.5 : (maxPrice - product.price) / (maxPrice - minPrice);
+
+  const stockScore = product.inventory_qty > 0 ? 1 : 0;
+  const variantScore = product.variants.length / Math.max(...allProducts.map(p => p.variants.length));
+
+  return (priceScore * 0.5) + (stockScore * 0.3) + (variantScore * 0.2);
+}
+
+function calculateStockScore(product, allProducts) {
+  const maxStock = Math.max(...allProducts.map(p => p.inventory_qty));
+  return maxStock === 0 ? 0 : product.inventory_qty / maxStock;
+}
+
+async function searchProducts(args, context) {
+  const { query, limit = 10, cursor, images = 'thumbnail' } = args;
+  const { storeFilters } = context.config;
+  const filters = readProductFilters(args);
+  const sort = readProductSort(args);
+
+  // Text queries are ranked by the local search index over the whole
+  // catalog; other filters narrow the ranked results. An explicit sort
+  // replaces relevance order.
+  let matches;
+  const hits = new Map();
+  if (filters.query) {
+    const { query: text, ...structured } = filters;
+    const catalog = await fetchProducts(context.config);
+    const candidates = new Map(filterProducts(catalog, structured, []).map(product => [product.id, product]));
+    for (const hit of searchCatalog(catalog, text)) {
+      const product = candidates.get(hit.product.id);
+      if (product) hits.set(product, hit);
+    }
+    matches = [...hits.keys()];
+  } else {
+    matches = filterProducts(
+      await fetchProducts(context.config, storeFilterParams(filters, storeFilters)),
+      filters,
+      storeFilters
+    );
+  }
+  const page = paginate(sortProducts(matches, sort), {
+    cursor,
+    limit,
+    scope: ['search_products', filters, sort]
+  });
+  const products = page.items;
+
+  if (products.length === 0) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🔍 No products found for ${describeFilters(filters)}`
+        }
+      ]
+    };
+  }
+
+  if (context.config.ui === 'mcp-ui') {
+    const html = renderSearchHtml(query, products, await productImageDataUrls(context.config, products, images));
+    return {
+      content: [
+        uiResourceContent(`ui://search/${Date.now()}`, html),
+        { type: 'text', text: pageSummary(page) }
+      ],
+      nextCursor: page.nextCursor
+    };
+  }
+
+  const content = [
+    {
+      type: 'text',
+      text: `# 🔍 Search Results: "${query || 'All Products'}"\n\n*Found ${page.total} Descope authentication products matching ${describeFilters(filters)}${sort ? `, sorted by ${sort.key} (${sort.order})` : query ? ', ranked by relevance' : ''}*\n\n---`
+    }
+  ];
+
+  const productImages = productImageEmbedder(context, images);
+  for (const product of products) {
+    content.push(...await productImages(product));
+    content.push({
+      type: 'text',
+      text: `## 🛡️ ${hits.get(product)?.highlights?.title || product.title}\n\n${formatSearchHit(hits.get(product))}${formatProductSummary(product)}`
+    });
+  }
+
+  content.push({ type: 'text', text: pageSummary(page) });
+
+  return { content, nextCursor: page.nextCursor };
+}
+
+async function browseCatalog(args, context) {
+  const { category, limit = 20, cursor, images = 'thumbnail' } = args;
+  const allProducts = await fetchProducts(context.config, category ? { type: category } : {});
+  const page = paginate(allProducts, {
+    cursor,
+    limit,
+    scope: ['browse_catalog', category || null]
+  });
+  const products = page.items;
+
+  if (context.config.ui === 'mcp-ui') {
+    const html = renderCatalogHtml(products, await productImageDataUrls(context.config, products, images));
+    return {
+      content: [
+        uiResourceContent('ui://catalog', html),
+        { type: 'text', text: pageSummary(page) }
+      ],
+      nextCursor: page.nextCursor
+    };
+  }
+
+  const content = [
+    {
+      type: 'text',
+      text: `# 🛡️ Descope Authentication Store Catalog\n\n*Premium developer merchandise with authentication themes*\n\n---`
+    }
+  ];
+
+  const productImages = productImageEmbedder(context, images);
+  for (const product of products) {
+    content.push(...await productImages(product));
+    content.push({
+      type: 'text',
+      text: `## ${product.title}\n\n${formatProductSummary(product)}`
+    });
+  }
+
+  content.push({
+    type: 'text',
+    text: `\n📊 **Catalog Summary:**\n- **${allProducts.length} Products** available\n- **${allProducts.reduce((sum, p) => sum + p.variants.length, 0)} Variants** total\n- **${allProducts.reduce((sum, p) => sum + p.inventory_qty, 0)} Items** in stock\n- **Price Range:** $${Math.min(...allProducts.map(p => p.price))} - $${Math.max(...allProducts.map(p => p.price))}\n\n${pageSummary(page)}`
+  });
+
+  return { content, nextCursor: page.nextCursor };
+}
+
+async function getProduct(args, context) {
+  const { product_id, include_recommendations = true, images = 'full' } = args;
+  const product = await fetchProduct(context.config, product_id);
+
+  if (context.config.ui === 'mcp-ui') {
+    const html = renderProductHtml(product, await getProductImageDataUrl(context.config, product, images));
+    return { content: [uiResourceContent(`ui://product/${product.id}`, html)] };
+  }
+
+  let recommendations = [];
+  if (include_recommendations) {
+    recommendations = (await fetchProducts(context.config))
+      .filter(p => p.id !== product.id && p.type === product.type)
+      .slice(0, 2);
+  }
+
+  const productImages = productImageEmbedder(context, images);
+  const content = [
+    ...await productImages(product),
+    {
+      type: 'text',
+      text: `# 🛡️ ${product.title}\n\n*${product.vendor} • ${product.type}*\n\n---\n\n## 💰 Pricing\n**$${product.price}** ${product.compare_at_price ? `~~$${product.compare_at_price}~~ (${Math.round(((product.compare_at_price - product.price) / product.compare_at_price) * 100)}% off)` : ''}\n\n## 📝 Description\n${stripHtml(product.body)}\n\n## 📦 Availability\n- **In Stock:** ${product.inventory_qty} units\n- **SKU:** ${product.sku || 'N/A'}\n- **Status:** ${product.inventory_qty > 0 ? '✅ Available' : '❌ Out of Stock'}\n\n## 🎯 Variants Available\n${product.variants.map(v => `- **${v.option1_value}**: $${v.price} (${v.inventory_qty} available)`).join('\n')}\n\n## 🏷️ Product Tags\n${product.tags.map(tag => `\`${tag}\``).join(' ')}`
+    }
+  ];
+
+  if (recommendations.length > 0) {
+    content.push({
+      type: 'text',
+      text: `\n## 💡 You Might Also Like\n\n*Similar ${product.type} products:*`
+    });
+
+    for (const rec of recommendations) {
+      content.push(...await productImages(rec, images === 'none' ? 'none' : 'thumbnail'));
+      content.push({
+        type: 'text',
+        text: `### ${rec.title} - $${rec.price}\n${stripHtml(rec.body).substring(0, 100)}...`
+      });
+    }
+  }
+
+  return { content };
+}
+
+async function compareProducts(args, context) {
+  const { product_ids, images = 'thumbnail' } = args;
+
+  if (product_ids.length < 2) {
+    throw new Error('At least 2 products required for comparison');
+  }
+
+  if (product_ids.length > 4) {
+    throw new Error('Maximum 4 products can be compared at once');
+  }
+
+  const products = [];
+  for (const id of product_ids) {
+    products.push(await fetchProduct(context.config, id));
+  }
+
+  const scores = products.map(p => ({
+    id: p.id,
+    title: p.title,
+    valueScore: calculateValueScore(p, products),
+    stockScore: calculateStockScore(p, products)
+  }));
+
+  const bestValue = scores.reduce((best, current) =>
+    current.valueScore > best.valueScore ? current : best
+  );
+
+  const mostStock = scores.reduce((best, current) =>
+    current.stockScore > best.stockScore ? current : best
+  );
+
+  const content = [
+    {
+      type: 'text',
+      text: `# ⚖️ Product Comparison\n\n*Comparing ${products.length} Descope authentication products*\n\n---`
+    },
+    {
+      type: 'text',
+      text: `## 📊 Comparison Table\n\n| Product | Price | Stock | Variants | Score |\n|---------|-------|-------|----------|-------|\n${products.map(p => {
+        const score = scores.find(s => s.id === p.id);
+        return `| **${p.title}** | $${p.price} | ${p.inventory_qty} | ${p.variants.length} | ${Math.round(score.valueScore * 100)}% |`;
+      }).join('\n')}`
+    }
+  ];
+
+  const productImages = productImageEmbedder(context, images);
+  for (const product of products) {
+    content.push(...await productImages(product));
+    content.push({
+      type: 'text',
+      text: `### ${product.title}\n**$${product.price}** | **${product.inventory_qty} in stock** | **${product.variants.length} variants**\n\n${stripHtml(product.body).substring(0, 120)}...\n\n---`
+    });
+  }
+
+  content.push({
+    type: 'text',
+    text: `\n## 🏆 Recommendations\n\n- **🎯 Best Value:** ${bestValue.title} (${Math.round(bestValue.valueScore * 100)}% score)\n- **📦 Most Available:** ${mostStock.title} (${products.find(p => p.id === mostStock.id).inventory_qty} units)\n- **🎨 Most Variety:** ${products.reduce((best, current) => current.variants.length > best.variants.length ? current : best).title} (${Math.max(...products.map(p => p.variants.length))} variants)`
+  });
+
+  return { content };
+}
+
+async function getStoreInfo(args, context) {
+  const products = await fetchProducts(context.config);
+
+  const storeInfo = {
+    store_name: 'Descope Authentication Store',
+    description: 'Premium authentication-themed merchandise and apparel',
+    total_products: products.length,
+    categories: [...new Set(products.map(p => p.type))],
+    total_variants: products.reduce((sum, p) => sum + p.variants.length, 0),
+    featured_products: products.slice(0, 2).map(p => ({
+      id: p.id,
+      title: p.title,
+      price: p.price
+    })),
+    server_info: {
+      auth_provider: 'Descope OAuth 2.1',
+      user_scopes: context.authInfo?.scopes || []
+    }
+  };
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(storeInfo, null, 2)
+      }
+    ]
+  };
+}
+
+// Who an order is for. Signed-in callers order as themselves; naming a
+// different customer_email takes the admin scope. Without authentication
+// the customer_email argument is taken as given.
+function orderCustomerFields(context, customer_email) {
+  if (!context.authInfo) {
+    if (!customer_email) {
+      throw new Error('customer_email is required when the server runs without authentication');
+    }
+    return { customer_email };
+  }
+
+  const email = callerEmail(context);
+  if (customer_email && customer_email.toLowerCase() !== email?.toLowerCase()) {
+    if (!context.authInfo.scopes.includes(ADMIN_SCOPE)) {
+      throw new Error(`Orders are placed for the signed-in user${email ? ` (${email})` : ''}; ordering for another customer requires the ${ADMIN_SCOPE} scope`);
+    }
+    return { customer_email, placed_by: callerUserId(context) || context.authInfo.clientId };
+  }
+  if (!email) {
+    throw new Error('Orders are placed for the signed-in Descope user\'s email address, and this session has none');
+  }
+  return { customer_email: email, customer_id: callerUserId(context), tenant_id: callerTenant(context) || undefined };
+}
+
+// A retried create_order returns the order the first call placed (see
+// idempotency.js); the check comes before validation, as placing the order
+// may have used up the stock it needs.
+async function createOrder(args, context) {
+  const customer = orderCustomerFields(context, args.customer_email);
+  const request = { customer, items: args.items };
+
+  const { value: result, replayed } = await runOnce(callerKey(context), { key: args.idempotency_key, request }, async (idempotencyKey) => {
+    const validation = await validateOrder(context.config, args.items);
+    if (validation.problems.length > 0) {
+      return { value: orderProblemsResult(validation), final: false };
+    }
+
+    const confirmation = await confirmOrder(context, 'create_order', customer, validation, args.confirmation_code);
+    if (!confirmation.approved) {
+      return { value: confirmation.result, final: false };
+    }
+
+    const order = await submitOrder(context.config, { ...customer, items: validation.items }, { idempotencyKey });
+    return {
+      value: {
+        content: [
+          {
+            type: 'text',
+            text: formatOrder(order, validation.total)
+          }
+        ],
+        structuredContent: { order_id: order.id, status: order.status, total: order.total_price, replayed: false }
+      },
+      final: true
+    };
+  });
+
+  if (!replayed) {
+    return result;
+  }
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `↩️ *This order was already placed, so it was not placed again. To order the same items again, call \`create_order\` with a new \`idempotency_key\`.*\n\n${result.content[0].text}`
+      }
+    ],
+    structuredContent: { ...result.structuredContent, replayed: true }
+  };
+}
+
+// Have the user approve the validated order before it is placed
+function confirmOrder(context, action, customer, validation, code) {
+  const lines = validation.lines.map(line =>
+    `- ${line.quantity} × **${line.product.title}**${optionLabel(line.product, line.variant)} - ${money(line.unit_price)} each = **${money(line.subtotal)}**`);
+
+  return requireConfirmation(context, {
+    action,
+    preview: `# 🧾 Order Preview\n\n**Customer:** ${customer.customer_email}\n\n${lines.join('\n')}\n\n**💰 Total: ${money(validation.total)}**`,
+    details: { customer, items: validation.items, total: validation.total },
+    code
+  });
+}
+
+// Pre-flight problems as text for the user and structured data for the agent
+function orderProblemsResult(validation) {
+  const { problems, total } = validation;
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `# ⚠️ Order Not Placed\n\n*${problems.length === 1 ? '1 problem needs' : `${problems.length} problems need`} fixing first:*\n\n${problems.map(problem =>
+          `- ${problem.item ? `**Item ${problem.item}** (product ${problem.product_id}${problem.variant_id !== null ? `, variant ${problem.variant_id}` : ''}): ` : ''}${problem.message}`
+        ).join('\n')}${validation.lines.length > 0 ? `\n\n**💰 Expected total of the valid items:** ${money(total)}` : ''}`
+      }
+    ],
+    structuredContent: { valid: false, problems, expected_total: total },
+    isError: true
+  };
+}
+
+function formatOrderDetails(order) {
+  return `## 📋 Order Details\n\n**Order ID:** #${order.id}\n**Customer:** ${order.customer_email}\n**Status:** ${order.status.toUpperCase()}\n**Total:** $${order.total_price}\n**Items:** ${order.items.length}\n**Date:** ${new Date(order.created_at).toLocaleDateString()}\n\n## 🛍️ Items Ordered\n\n${order.items.map(item =>
+    `- **${item.product_title}**${item.variant_sku ? ` (${item.variant_sku})` : ''}\n  - Quantity: ${item.quantity}\n  - Price: $${item.price} each\n  - Subtotal: $${(item.price * item.quantity).toFixed(2)}`
+  ).join('\n\n')}`;
+}
+
+// `expectedTotal` is the pre-flight total; a different store total is flagged
+function formatOrder(order, expectedTotal) {
+  const priceChanged = expectedTotal !== undefined && Math.abs(Number(order.total_price) - expectedTotal) >= 0.01;
+  return `# 🎉 Order Created Successfully!\n\n*Your Descope authentication products are on the way*\n\n---\n\n${formatOrderDetails(order)}${priceChanged ? `\n\n⚠️ *The store charged $${order.total_price}; the catalog prices added up to ${money(expectedTotal)}.*` : ''}\n\n## 📦 Next Steps\n\n1. ✅ **Order Confirmed** - Your order has been placed\n2. ⏳ **Processing** - We're preparing your items\n3. 🚚 **Shipping** - Your order will be shipped soon\n4. 📧 **Updates** - Check your email for tracking information\n\n*Thank you for choosing Descope authentication products!*`;
+}
+
+const ORDER_STATUS_ICONS = {
+  pending: '⏳',
+  processing: '🔧',
+  shipped: '🚚',
+  delivered: '✅',
+  cancelled: '❌'
+};
+
+// Orders can be cancelled until they ship
+const CANCELLABLE_STATUSES = ['pending', 'processing'];
+
+const statusIcon = (status) => ORDER_STATUS_ICONS[status.toLowerCase()] || '📦';
+
+// Whose orders the caller may see: the signed-in user's email, or with
+// --auth none the customer_email they name
+function orderCustomer(context, args) {
+  if (!context.authInfo) {
+    return args.customer_email || null;
+  }
+  const email = callerEmail(context);
+  if (!email) {
+    throw new Error('Orders are looked up by the email address of the signed-in Descope user, and this session has none');
+  }
+  return email;
+}
+
+// The order, if the caller may see it; other customers' orders look missing
+async function readOwnOrder(context, orderId) {
+  const order = await fetchOrder(context.config, orderId);
+  const customer = orderCustomer(context, {});
+  if (context.authInfo && order.customer_email.toLowerCase() !== customer.toLowerCase()) {
+    throw new StoreApiError(`Order #${orderId} not found`, { status: 404, code: 'not_found' });
+  }
+  return order;
+}
+
+async function getOrder(args, context) {
+  const order = await readOwnOrder(context, args.order_id);
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `# ${statusIcon(order.status)} Order #${order.id}\n\n*${order.status.toUpperCase()}*\n\n---\n\n${formatOrderDetails(order)}${CANCELLABLE_STATUSES.includes(order.status.toLowerCase()) ? '\n\n*This order can still be cancelled with `cancel_order`.*' : ''}`
+      }
+    ]
+  };
+}
+
+async function listMyOrders(args, context) {
+  const { limit = 10, cursor } = args;
+  const customer = orderCustomer(context, args);
+  if (!customer) {
+    throw new Error('customer_email is required when the server runs without authentication');
+  }
+
+  const page = paginate(await fetchOrders(context.config, { customer_email: customer }), {
+    cursor,
+    limit,
+    scope: ['list_my_orders', customer.toLowerCase()]
+  });
+  if (page.total === 0) {
+    return {
+      content: [{ type: 'text', text: `📭 No orders found for ${customer}.` }]
+    };
+  }
+
+  const orders = page.items.map(order =>
+    `## ${statusIcon(order.status)} Order #${order.id} - ${order.status.toUpperCase()}\n\n**Date:** ${new Date(order.created_at).toLocaleDateString()} | **Total:** $${order.total_price}\n${order.items.map(item => `- ${item.quantity} × ${item.product_title || `Product ${item.product_id}`}`).join('\n')}`
+  );
+  const range = `${page.offset + 1}-${page.offset + page.items.length} of ${page.total}`;
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `# 🧾 Your Orders\n\n*${page.total} order${page.total === 1 ? '' : 's'} for ${customer}, newest first*\n\n---\n\n${orders.join('\n\n')}\n\n📄 Showing orders ${range}.${page.nextCursor ? ` For more, call again with cursor: "${page.nextCursor}"` : ''}\n\n*Use \`get_order\` for full details.*`
+      }
+    ],
+    nextCursor: page.nextCursor
+  };
+}
+
+async function cancelOrder(args, context) {
+  const order = await readOwnOrder(context, args.order_id);
+  const status = order.status.toLowerCase();
+  if (status === 'cancelled') {
+    throw new Error(`Order #${order.id} is already cancelled`);
+  }
+  if (!CANCELLABLE_STATUSES.includes(status)) {
+    throw new Error(`Order #${order.id} is ${status} and can no longer be cancelled`);
+  }
+
+  const cancelled = await submitCancellation(context.config, order.id);
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `# ❌ Order #${cancelled.id} Cancelled\n\n*You will not be charged for this order.*\n\n---\n\n${formatOrderDetails(cancelled)}`
+      }
+    ]
+  };
+}
+
+const money = (amount) => `$${amount.toFixed(2)}`;
+
+// " (XL)" for products sold in several options
+const optionLabel = (product, variant) => variant && product.variants.length > 1 ? ` (${variant.option1_value})` : '';
+
+function formatCartLine(line) {
+  if (line.problem) {
+    return `- ⚠️ **${line.product?.title || `Product ${line.product_id}`}** - ${line.problem}; update its quantity to 0 to remove it\n  - 🆔 product_id ${line.product_id}${line.variant_id !== null ? `, variant_id ${line.variant_id}` : ''}`;
+  }
+  const stock = line.variant?.inventory_qty ?? line.product.inventory_qty;
+  return `- **${line.product.title}**${optionLabel(line.product, line.variant)} - ${line.quantity} × ${money(line.unit_price)} = **${money(line.subtotal)}**${stock < line.quantity ? `\n  - ⚠️ Only ${stock} in stock` : ''}\n  - 🆔 product_id ${line.product_id}${line.variant_id !== null ? `, variant_id ${line.variant_id}` : ''}`;
+}
+
+async function formatCart(context, heading) {
+  const cart = await priceCart(context.config, callerKey(context));
+  if (cart.lines.length === 0) {
+    return `${heading ? `${heading}\n\n` : ''}# 🛒 Your Cart\n\n*Your cart is empty.* Use \`search_products\` or \`browse_catalog\` to find something, then \`add_to_cart\`.`;
+  }
+  return `${heading ? `${heading}\n\n` : ''}# 🛒 Your Cart\n\n*${cart.count} item${cart.count === 1 ? '' : 's'}*\n\n${cart.lines.map(formatCartLine).join('\n')}\n\n---\n\n**💰 Total: ${money(cart.total)}**\n\n*Change quantities with \`update_cart_item\`, or place the order with \`checkout\`.*`;
+}
+
+async function addToCart(args, context) {
+  const { product, variant } = await addCartItem(context.config, callerKey(context), args);
+  return {
+    content: [
+      {
+        type: 'text',
+        text: await formatCart(context, `✅ Added ${args.quantity || 1} × **${product.title}**${optionLabel(product, variant)} to your cart.`)
+      }
+    ]
+  };
+}
+
+async function viewCart(args, context) {
+  return {
+    content: [{ type: 'text', text: await formatCart(context) }]
+  };
+}
+
+async function updateCartItem(args, context) {
+  setCartItemQuantity(callerKey(context), args);
+  return {
+    content: [
+      {
+        type: 'text',
+        text: await formatCart(context, args.quantity === 0 ? '🗑️ Removed the item from your cart.' : `✅ Quantity updated to ${args.quantity}.`)
+      }
+    ]
+  };
+}
+
+async function checkout(args, context) {
+  const customer = orderCustomerFields(context, args.customer_email);
+  const owner = callerKey(context);
+  const cart = await priceCart(context.config, owner);
+  if (cart.lines.length === 0) {
+    throw new Error('Your cart is empty; add products with add_to_cart first');
+  }
+
+  const validation = await validateOrder(context.config, cart.lines.map(({ product_id, variant_id, quantity }) =>
+    ({ product_id, variant_id, quantity })));
+  if (validation.problems.length > 0) {
+    return orderProblemsResult(validation);
+  }
+
+  const confirmation = await confirmOrder(context, 'checkout', customer, validation, args.confirmation_code);
+  if (!confirmation.approved) {
+    return confirmation.result;
+  }
+
+  const order = await submitOrder(context.config, { ...customer, items: validation.items });
+  clearCart(owner);
+
+  return {
+    content: [{ type: 'text', text: formatOrder(order, validation.total) }]
+  };
+}
+
+export const tools = [
+  {
+    name: 'search_products',
+    description: 'Search and filter Descope authentication products',
+    scopes: ['store:read'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Search query for products (e.g., "mug", "tee", "authentication"); tolerates typos, plurals and synonyms'
+        },
+        category: {
+          type: 'string',
+          description: 'Filter by product type (Shirts, Hat, Clothing, Home & Kitchen)'
+        },
+        min_price: {
+          type: 'number',
+          description: 'Only products with a variant priced at or above this amount'
+        },
+        max_price: {
+          type: 'number',
+          description: 'Only products with a variant priced at or below this amount'
+        },
+        in_stock: {
+          type: 'boolean',
+          description: 'Only products with a variant in stock'
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only products carrying all of these tags'
+        },
+        vendor: {
+          type: 'string',
+          description: 'Only products from this vendor'
+        },
+        options: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only products offering a variant with one of these option values, e.g. ["L", "XL"]. Price and stock filters apply to that same variant'
+        },
+        sort: {
+          type: 'string',
+          enum: SORT_KEYS,
+          description: 'Sort by price, stock, discount or newest (default: store order)'
+        },
+        order: {
+          type: 'string',
+          enum: SORT_ORDERS,
+          description: 'Sort direction (default: asc for price, desc otherwise)'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of products per page (default: 10, max: 50)'
+        },
+        cursor: cursorProperty,
+        images: imagesProperty('thumbnail')
+      }
+    },
+    handler: searchProducts
+  },
+  {
+    name: 'browse_catalog',
+    description: 'Browse the complete Descope product catalog',
+    scopes: ['store:read'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        category: {
+          type: 'string',
+          description: 'Filter by category (Shirts, Hat, Clothing, Home & Kitchen)'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of products per page (default: 20, max: 50)'
+        },
+        cursor: cursorProperty,
+        images: imagesProperty('thumbnail')
+      }
+    },
+    handler: browseCatalog
+  },
+  {
+    name: 'get_product',
+    description: 'Get detailed information about a specific Descope product with variants',
+    scopes: ['store:read'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        product_id: {
+          type: 'number',
+          description: 'ID of the product to get details for'
+        },
+        include_recommendations: {
+          type: 'boolean',
+          description: 'Include product recommendations (default: true)'
+        },
+        images: imagesProperty('full')
+      },
+      required: ['product_id']
+    },
+    handler: getProduct
+  },
+  {
+    name: 'compare_products',
+    description: 'Compare multiple Descope products side by side',
+    scopes: ['store:read'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        product_ids: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Array of product IDs to compare (2-4 products)'
+        },
+        images: imagesProperty('thumbnail')
+      },
+      required: ['product_ids']
+    },
+    handler: compareProducts
+  },
+  {
+    name: 'get_store_info',
+    description: 'Get general information about the Descope authentication store',
+    scopes: ['store:read'],
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: getStoreInfo
+  },
+  {
+    name: 'create_order',
+    description: 'Create a new order for Descope authentication products',
+    scopes: ['store:write'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        customer_email: {
+          type: 'string',
+          description: `Customer email address. Signed-in users order as themselves; another customer's email requires ${ADMIN_SCOPE}`
+        },
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              product_id: { type: 'number' },
+              variant_id: { type: 'number' },
+              quantity: { type: 'number' }
+            },
+            required: ['product_id', 'quantity']
+          },
+          description: 'Array of items to order'
+        },
+        confirmation_code: confirmationCodeProperty,
+        idempotency_key: {
+          type: 'string',
+          description: 'Unique key for this order, e.g. a UUID. Retrying with the same key returns the original order instead of placing a duplicate; without one, identical retries within 5 minutes are recognised'
+        }
+      },
+      required: ['items']
+    },
+    handler: createOrder
+  },
+  {
+    name: 'add_to_cart',
+    description: 'Add a product to the shopping cart, which is kept across turns',
+    scopes: ['store:read'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        product_id: {
+          type: 'number',
+          description: 'The product ID'
+        },
+        variant_id: {
+          type: 'number',
+          description: 'The variant (option) ID; required when the product has several options'
+        },
+        quantity: {
+          type: 'number',
+          description: 'How many to add (default: 1)'
+        }
+      },
+      required: ['product_id']
+    },
+    handler: addToCart
+  },
+  {
+    name: 'view_cart',
+    description: 'Show the shopping cart with current prices and the total',
+    scopes: ['store:read'],
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: viewCart
+  },
+  {
+    name: 'update_cart_item',
+    description: 'Change the quantity of a cart item; a quantity of 0 removes it',
+    scopes: ['store:read'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        product_id: {
+          type: 'number',
+          description: 'The product ID'
+        },
+        variant_id: {
+          type: 'number',
+          description: 'The variant ID; only needed when the cart holds several options of the product'
+        },
+        quantity: {
+          type: 'number',
+          description: 'The new quantity, or 0 to remove the item'
+        }
+      },
+      required: ['product_id', 'quantity']
+    },
+    handler: updateCartItem
+  },
+  {
+    name: 'checkout',
+    description: 'Place an order for everything in the shopping cart and empty the cart',
+    scopes: ['store:write'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        customer_email: {
+          type: 'string',
+          description: `Customer email address. Signed-in users order as themselves; another customer's email requires ${ADMIN_SCOPE}`
+        },
+        confirmation_code: confirmationCodeProperty
+      }
+    },
+    handler: checkout
+  },
+  {
+    name: 'get_order',
+    description: 'Look up an order by ID, with its status and items',
+    scopes: ['store:read'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        order_id: {
+          type: 'number',
+          description: 'The order ID'
+        }
+      },
+      required: ['order_id']
+    },
+    handler: getOrder
+  },
+  {
+    name: 'list_my_orders',
+    description: 'List the signed-in customer\'s orders, newest first',
+    scopes: ['store:read'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        customer_email: {
+          type: 'string',
+          description: 'Customer email; only used when the server runs without authentication'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of orders per page (default: 10)'
+        },
+        cursor: cursorProperty
+      }
+    },
+    handler: listMyOrders
+  },
+  {
+    name: 'cancel_order',
+    description: 'Cancel an order that has not shipped yet',
+    scopes: ['store:write'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        order_id: {
+          type: 'number',
+          description: 'The order ID'
+        }
+      },
+      required: ['order_id']
+    },
+    handler: cancelOrder
+  }
+];
+
+// Tool definitions as advertised in tools/list
+export function listTools() {
+  return tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+}
+
+const seconds = (ms) => Math.max(Math.ceil(ms / 1000), 1);
+
+// What the user sees when the store fails; details go to the server log
+const STORE_ERROR_MESSAGES = {
+  unavailable: error => `🔌 The Descope Store is temporarily unavailable. Please try again in about ${seconds(error.retryAfter)} seconds.`,
+  unreachable: () => '🔌 The Descope Store cannot be reached right now. Please try again in a moment.',
+  timeout: () => '⏱️ The Descope Store is taking too long to respond. Please try again in a moment.',
+  rate_limited: error => `⏳ The Descope Store is handling too many requests. Please try again${error.retryAfter ? ` in about ${seconds(error.retryAfter)} seconds` : ' shortly'}.`,
+  server_error: () => '⚠️ The Descope Store ran into a problem. Please try again shortly.',
+  bad_response: () => '⚠️ The Descope Store sent a response this server could not read. Please try again later.',
+  not_found: error => `🔍 ${error.message}`,
+  rejected: error => `❌ The Descope Store rejected the request: ${error.detail || `status ${error.status}`}`
+};
+
+function describeError(error) {
+  const describe = error instanceof StoreApiError && STORE_ERROR_MESSAGES[error.code];
+  if (!describe) {
+    return `❌ Error: ${error.message}`;
+  }
+  console.error(`Store API error (${error.code}):`, error.message);
+  return describe(error);
+}
+
+// Run a tool on behalf of the caller. Scopes are enforced whenever the
+// transport authenticated the request (authInfo is absent with --auth none).
+export async function callTool(name, args = {}, context) {
+  const { authInfo } = context;
+  const tool = tools.find(t => t.name === name);
+
+  try {
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    const missingScopes = authInfo
+      ? tool.scopes.filter(scope => !authInfo.scopes.includes(scope))
+      : [];
+    if (missingScopes.length > 0) {
+      throw new Error(`Insufficient scope: ${name} requires ${missingScopes.join(', ')}`);
+    }
+
+    return await tool.handler(args, context);
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: describeError(error)
+        }
+      ],
+      isError: true
+    };
+  }
+}
@@ -0,0 +1,270 @@
+// HTTP transports: Streamable HTTP on /mcp, legacy SSE on /sse + /message.
+// The same express app backs the standalone server and the Vercel function.
+import { randomUUID } from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import express from 'express';
+import cors from 'cors';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { createMcpServer, SERVER_VERSION } from '../server.js';
+import { createAuth, requireAuth } from '../auth/index.js';
+import { callerUserId } from '../identity.js';
+
+// Streamable HTTP sessions with no request for SESSION_IDLE_TIMEOUT are
+// closed, so clients that go away without a DELETE do not keep their MCP
+// server alive
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+const SESSION_SWEEP_INTERVAL = 60 * 1000;
+
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+const sessionError = (code, message) => ({
+  jsonrpc: '2.0',
+  error: { code, message },
+  id: null
+});
+
+// Whether a browser Origin may use this server: its own origin, localhost
+// and config.allowedOrigins. Without this check any web page the user
+// visits could call the MCP endpoints, also through DNS rebinding.
+function originChecker(config) {
+  const allowed = new Set([config.serverUrl, ...config.allowedOrigins].map(origin => new URL(origin).origin));
+  return (origin) => {
+    try {
+      const url = new URL(origin);
+      return allowed.has(url.origin) || LOCAL_HOSTNAMES.includes(url.hostname);
+    } catch {
+      return false;
+    }
+  };
+}
+
+// Who may use a session: the user and client of the token that opened it
+// (null without authentication). Requests from anyone else are answered as
+// if the session did not exist, so session ids cannot be hijacked or probed.
+const sessionOwner = (authInfo) => authInfo
+  ? JSON.stringify([callerUserId({ authInfo }), authInfo.clientId])
+  : null;
+
+// MCP Streamable HTTP transport: POST carries JSON-RPC messages, GET opens the
+// server-initiated SSE stream and DELETE terminates the session. On serverless
+// hosts sessions only live as long as the instance stays warm; clients
+// re-initialize after a 404.
+function streamableHttpHandler(config) {
+  // session id -> { transport, owner, requests, lastActive }; `requests`
+  // counts open requests, such as a GET stream, which keep a session active
+  const sessions = new Map();
+
+  const sweeper = setInterval(() => {
+    const idleSince = Date.now() - SESSION_IDLE_TIMEOUT;
+    for (const [id, session] of sessions) {
+      if (session.requests === 0 && session.lastActive < idleSince) {
+        sessions.delete(id);
+        session.transport.close().catch(error => {
+          console.error(`Closing idle session ${id} failed:`, error.message);
+        });
+      }
+    }
+  }, SESSION_SWEEP_INTERVAL);
+  sweeper.unref();
+
+  return async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const session = sessionId ? sessions.get(sessionId) : undefined;
+
+    if (sessionId && (!session || session.owner !== sessionOwner(req.auth))) {
+      return res.status(404).json(sessionError(-32001, 'Session not found'));
+    }
+
+    if (session) {
+      session.requests++;
+      res.on('close', () => {
+        session.requests--;
+        session.lastActive = Date.now();
+      });
+    }
+
+    let transport = session?.transport;
+    if (!transport) {
+      if (req.method !== 'POST' || !isInitializeRequest(req.body)) {
+        return res.status(400).json(sessionError(-32000, 'Bad Request: No valid session ID provided'));
+      }
+
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          sessions.set(id, { transport, owner: sessionOwner(req.auth), requests: 0, lastActive: Date.now() });
+        }
+      });
+
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          sessions.delete(transport.sessionId);
+        }
+      };
+
+      await createMcpServer(config).connect(transport);
+    }
+
+    await transport.handleRequest(req, res, req.body);
+  };
+}
+
+// Legacy HTTP+SSE transport (protocol version 2024-11-05): GET /sse opens the
+// event stream, clients POST messages to /message?sessionId=...
+function sseHandlers(config) {
+  // session id -> { transport, owner }
+  const sessions = new Map();
+
+  const connect = async (req, res) => {
+    const transport = new SSEServerTransport('/message', res);
+    sessions.set(transport.sessionId, { transport, owner: sessionOwner(req.auth) });
+    res.on('close', () => {
+      sessions.delete(transport.sessionId);
+    });
+    await createMcpServer(config).connect(transport);
+  };
+
+  const message = async (req, res) => {
+    const session = sessions.get(req.query.sessionId);
+    if (!session || session.owner !== sessionOwner(req.auth)) {
+      return res.status(404).json(sessionError(-32001, 'Session not found'));
+    }
+    await session.transport.handlePostMessage(req, res, req.body);
+  };
+
+  return { connect, message };
+}
+
+export function createHttpApp(config) {
+  const auth = createAuth(config);
+  const authenticate = requireAuth(config, auth);
+  const app = express();
+
+  // Requests without an Origin come from clients other than browsers
+  const originAllowed = originChecker(config);
+  const checkOrigin = (req, res, next) => {
+    const { origin } = req.headers;
+    if (origin && !originAllowed(origin)) {
+      return res.status(403).json(sessionError(-32000, `Forbidden: origin ${origin} is not allowed`));
+    }
+    next();
+  };
+
+  app.use(cors({
+    origin: (origin, callback) => callback(null, !origin || originAllowed(origin)),
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-Descope-Token', 'Mcp-Session-Id', 'Mcp-Protocol-Version', 'Last-Event-ID'],
+    exposedHeaders: ['Mcp-Session-Id']
+  }));
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  const endpoints = config.transport === 'sse'
+    ? { sse: '/sse', message: '/message' }
+    : { mcp: '/mcp' };
+
+  // Root endpoint - MCP server info
+  app.get('/', (req, res) => {
+    res.json({
+      name: 'Descope Store MCP Server',
+      version: SERVER_VERSION,
+      description: 'MCP server for the Descope demo store',
+      transport: config.transport,
+      auth: config.auth,
+      ui: config.ui,
+      endpoints: {
+        ...endpoints,
+        ...(auth.discovery && {
+          oauth: {
+            authorize: '/oauth/authorize',
+            token: '/oauth/token'
+          },
+          discovery: {
+            protectedResource: '/.well-known/oauth-protected-resource',
+            authorizationServer: '/.well-known/oauth-authorization-server'
+          }
+        })
+      },
+      documentation: 'https://github.com/sharanyareddy9/descope-store-mcp'
+    });
+  });
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      environment: {
+        hasDescopeProjectId: !!config.descope.projectId,
+        hasManagementKey: !!config.descope.managementKey,
+        serverUrl: config.serverUrl
+      }
+    });
+  });
+
+  app.get('/favicon.ico', (req, res) => res.status(204).end());
+
+  if (auth.router) {
+    app.use(auth.router);
+  }
+
+  if (config.transport === 'sse') {
+    const sse = sseHandlers(config);
+    app.get('/sse', checkOrigin, authenticate, sse.connect);
+    app.post('/message', checkOrigin, authenticate, sse.message);
+  } else {
+    const handleMcpRequest = streamableHttpHandler(config);
+    app.post('/mcp', checkOrigin, authenticate, handleMcpRequest);
+    app.get('/mcp', checkOrigin, authenticate, handleMcpRequest);
+    app.delete('/mcp', checkOrigin, authenticate, handleMcpRequest);
+  }
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  // Error handler (express needs all four arguments to recognise it)
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json(sessionError(-32700, 'Parse error'));
+    }
+    console.error('Server error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return app;
+}
+
+export async function startHttpServer(config) {
+  const app = createHttpApp(config);
+  const servers = [];
+
+  const listen = (server, port, protocol) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      console.error(`🚀 Descope Store MCP Server (${config.transport}, auth: ${config.auth}) listening on ${protocol}://localhost:${port}`);
+      resolve();
+    });
+  });
+
+  servers.push(http.createServer(app));
+  await listen(servers[0], config.port, 'http');
+
+  if (config.https) {
+    const httpsServer = https.createServer({
+      key: fs.readFileSync(config.https.key),
+      cert: fs.readFileSync(config.https.cert)
+    }, app);
+    servers.push(httpsServer);
+    await listen(httpsServer, config.https.port, 'https');
+  }
+
+  return servers;
+}
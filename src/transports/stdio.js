@@ -0,0 +1,11 @@
+// stdio transport for local clients such as Claude Desktop
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { createMcpServer } from '../server.js';
+
+export async function startStdioServer(config) {
+  const server = createMcpServer(config);
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+  console.error(`🛡️ Descope Store MCP Server running on stdio (UI mode: ${config.ui})`);
+  return server;
+}
@@ -0,0 +1,224 @@
+// MCP-UI HTML renderers for the "mcp-ui" UI mode
+import { createUIResource } from '@mcp-ui/server';
+import { stripHtml } from './util.js';
+
+// Wrap an HTML document as an embedded MCP-UI resource content block
+export function uiResourceContent(uri, htmlString) {
+  return createUIResource({
+    uri,
+    content: {
+      type: 'rawHtml',
+      htmlString
+    },
+    encoding: 'text'
+  });
+}
+
+function renderProductCard(product, imageBase64) {
+  return `
+    <div style="border: 1px solid #e1e1e1; border-radius: 8px; padding: 20px; background: white; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+      ${imageBase64 ? `<img src="${imageBase64}" alt="${product.title}" 
+           style="width: 100%; height: 200px; object-fit: cover; border-radius: 4px; margin-bottom: 15px;" />` : ''}
+      
+      <h3 style="margin: 0 0 10px 0; color: #1a1a1a; font-size: 18px;">${product.title}</h3>
+      
+      <div style="margin-bottom: 15px;">
+        <span style="font-size: 20px; font-weight: bold; color: #2563eb;">$${product.price}</span>
+        ${product.compare_at_price ? `
+          <span style="text-decoration: line-through; color: #666; margin-left: 8px;">$${product.compare_at_price}</span>
+          <span style="color: #059669; margin-left: 8px; font-size: 12px;">
+            Save $${(product.compare_at_price - product.price).toFixed(2)}
+          </span>
+        ` : ''}
+      </div>
+      
+      <p style="color: #666; font-size: 14px; margin-bottom: 15px;">
+        ${stripHtml(product.body).substring(0, 120)}...
+      </p>
+      
+      <div style="display: flex; justify-content: space-between; align-items: center; font-size: 12px; color: #888;">
+        <span>📦 ${product.inventory_qty} in stock</span>
+        <span>🎯 ${product.variants.length} variants</span>
+      </div>
+      
+      <div style="margin-top: 10px;">
+        ${product.tags.map(tag => `
+          <span style="background: #f3f4f6; color: #374151; padding: 2px 6px; border-radius: 3px; font-size: 11px; margin-right: 4px;">
+            ${tag}
+          </span>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
+// `images` maps product handles to data URLs (or null)
+export function renderCatalogHtml(products, images) {
+  const productHTMLArray = products.map(product => renderProductCard(product, images[product.handle]));
+
+  const catalogHTML = `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px;">
+      <h1 style="color: #1a1a1a; text-align: center; margin-bottom: 30px;">
+        🛡️ Descope Authentication Store
+      </h1>
+      <p style="text-align: center; color: #666; margin-bottom: 40px;">
+        Premium developer merchandise with authentication themes
+      </p>
+      
+      <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 20px;">
+        ${productHTMLArray.join('')}
+      </div>
+      
+      <div style="text-align: center; margin-top: 40px; padding: 20px; background: #f8f9fa; border-radius: 8px;">
+        <h3 style="color: #1a1a1a; margin-bottom: 10px;">📊 Catalog Summary</h3>
+        <p style="color: #666; margin: 5px 0;">
+          <strong>${products.length}</strong> Products available • 
+          <strong>${products.reduce((sum, p) => sum + p.variants.length, 0)}</strong> Variants total • 
+          <strong>${products.reduce((sum, p) => sum + p.inventory_qty, 0)}</strong> Items in stock
+        </p>
+        <p style="color: #666; margin: 5px 0;">
+          Price Range: <strong>$${Math.min(...products.map(p => p.price))} - $${Math.max(...products.map(p => p.price))}</strong>
+        </p>
+      </div>
+    </div>
+  `;
+
+  return catalogHTML;
+}
+
+export function renderProductHtml(product, imageBase64) {
+  const productHTML = `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h1 style="color: #1a1a1a; text-align: center; margin-bottom: 20px;">
+        🛡️ ${product.title}
+      </h1>
+      <p style="text-align: center; color: #666; margin-bottom: 30px;">
+        ${product.vendor} • ${product.type}
+      </p>
+      
+      <div style="text-align: center; margin-bottom: 30px;">
+        ${imageBase64 ? `<img src="${imageBase64}" alt="${product.title}" 
+             style="max-width: 100%; height: auto; border-radius: 8px; box-shadow: 0 4px 8px rgba(0,0,0,0.1);" />` : ''}
+      </div>
+      
+      <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 30px;">
+        <h2 style="margin-top: 0; color: #1a1a1a;">💰 Pricing</h2>
+        <div style="font-size: 28px; font-weight: bold; color: #2563eb; margin-bottom: 10px;">
+          $${product.price}
+          ${product.compare_at_price ? `
+            <span style="text-decoration: line-through; color: #666; font-size: 20px; margin-left: 12px;">$${product.compare_at_price}</span>
+            <span style="color: #059669; font-size: 16px; margin-left: 12px;">
+              (${Math.round(((product.compare_at_price - product.price) / product.compare_at_price) * 100)}% off)
+            </span>
+          ` : ''}
+        </div>
+      </div>
+      
+      <div style="margin-bottom: 30px;">
+        <h2 style="color: #1a1a1a;">📝 Description</h2>
+        <p style="color: #666; line-height: 1.6;">
+          ${stripHtml(product.body)}
+        </p>
+      </div>
+      
+      <div style="background: white; border: 1px solid #e1e1e1; border-radius: 8px; padding: 20px; margin-bottom: 30px;">
+        <h2 style="margin-top: 0; color: #1a1a1a;">📦 Availability</h2>
+        <ul style="list-style: none; padding: 0;">
+          <li style="margin-bottom: 8px;"><strong>In Stock:</strong> ${product.inventory_qty} units</li>
+          <li style="margin-bottom: 8px;"><strong>SKU:</strong> ${product.sku || 'N/A'}</li>
+          <li style="margin-bottom: 8px;">
+            <strong>Status:</strong> 
+            <span style="color: ${product.inventory_qty > 0 ? '#059669' : '#dc2626'};">
+              ${product.inventory_qty > 0 ? '✅ Available' : '❌ Out of Stock'}
+            </span>
+          </li>
+        </ul>
+      </div>
+      
+      <div style="margin-bottom: 30px;">
+        <h2 style="color: #1a1a1a;">🎯 Variants Available</h2>
+        <div style="display: grid; gap: 10px;">
+          ${product.variants.map(v => `
+            <div style="background: #f8f9fa; padding: 15px; border-radius: 6px; display: flex; justify-content: space-between; align-items: center;">
+              <div>
+                <strong>${v.option1_value}</strong>
+                <div style="font-size: 12px; color: #666;">${v.inventory_qty} available</div>
+              </div>
+              <div style="font-weight: bold; color: #2563eb;">$${v.price}</div>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+      
+      <div style="text-align: center;">
+        <h2 style="color: #1a1a1a;">🏷️ Product Tags</h2>
+        <div>
+          ${product.tags.map(tag => `
+            <span style="background: #2563eb; color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px; margin-right: 6px; margin-bottom: 6px; display: inline-block;">
+              ${tag}
+            </span>
+          `).join('')}
+        </div>
+      </div>
+    </div>
+  `;
+
+  return productHTML;
+}
+
+export function renderSearchHtml(query, products, images) {
+  const searchHTML = `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, sans-serif; max-width: 800px; margin: 0 auto;">
+      <h1 style="color: #1a1a1a; text-align: center; margin-bottom: 20px;">
+        🔍 Search Results: "${query || 'All Products'}"
+      </h1>
+      <p style="text-align: center; color: #666; margin-bottom: 40px;">
+        Found ${products.length} Descope authentication products
+      </p>
+      
+      <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 20px;">
+        ${products.map(product => `
+          <div style="border: 1px solid #e1e1e1; border-radius: 8px; padding: 20px; background: white; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+            ${images[product.handle] ? `<img src="${images[product.handle]}" alt="${product.title}" 
+                 style="width: 100%; height: 180px; object-fit: cover; border-radius: 4px; margin-bottom: 15px;" />` : ''}
+            
+            <h3 style="margin: 0 0 10px 0; color: #1a1a1a;">🛡️ ${product.title}</h3>
+            
+            <div style="margin-bottom: 15px;">
+              <span style="font-size: 18px; font-weight: bold; color: #2563eb;">💰 $${product.price}</span>
+              ${product.compare_at_price ? `
+                <span style="text-decoration: line-through; color: #666; margin-left: 8px;">$${product.compare_at_price}</span>
+                <span style="color: #059669; margin-left: 8px; font-size: 12px;">
+                  Save $${(product.compare_at_price - product.price).toFixed(2)}
+                </span>
+              ` : ''}
+            </div>
+            
+            <p style="color: #666; font-size: 14px; margin-bottom: 15px;">
+              ${stripHtml(product.body).substring(0, 150)}...
+            </p>
+            
+            <div style="display: flex; justify-content: space-between; align-items: center; font-size: 12px; color: #888; margin-bottom: 10px;">
+              <span>📦 Stock: ${product.inventory_qty} units</span>
+              <span>🎯 Variants: ${product.variants.length} options</span>
+            </div>
+            
+            <div>
+              <span style="font-weight: bold; font-size: 12px; color: #666;">🆔 Product ID: ${product.id}</span>
+            </div>
+            
+            <div style="margin-top: 10px;">
+              ${product.tags.slice(0, 3).map(tag => `
+                <span style="background: #f3f4f6; color: #374151; padding: 2px 6px; border-radius: 3px; font-size: 11px; margin-right: 4px;">
+                  ${tag}
+                </span>
+              `).join('')}
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    </div>
+  `;
+
+  return searchHTML;
+}
@@ -0,0 +1,12 @@
+// Small helpers shared by the tool, resource and store modules
+import crypto from 'crypto';
+
+// Text of an HTML fragment. `separator` replaces each tag; the search index
+// passes a space so words in neighbouring elements stay apart.
+export const stripHtml = (html, separator = '') => (html || '').replace(/<[^>]*>/g, separator);
+
+// Store ids arrive as numbers or strings depending on the endpoint
+export const sameId = (a, b) => String(a) === String(b);
+
+// Stable digest of a JSON-serialisable value, for telling requests apart
+export const fingerprint = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('base64url');
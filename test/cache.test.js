@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cached, invalidate, peek } from '../src/cache.js';
+
+const config = { cache: { ttl: 30, staleTtl: 300 } };
+
+// A loader that counts its calls and records the validators it was given
+function loader(values) {
+  const calls = [];
+  const load = async (previous) => {
+    calls.push(previous?.etag ?? null);
+    const value = values[calls.length - 1];
+    return value === null ? null : { value, etag: `"v${calls.length}"`, lastModified: null };
+  };
+  return { load, calls };
+}
+
+// Let background revalidations finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('fresh entries are served without loading', async () => {
+  const url = 'http://store.test/fresh';
+  const { load, calls } = loader(['a', 'b']);
+  assert.equal(await cached(config, url, load), 'a');
+  assert.equal(await cached(config, url, load), 'a');
+  assert.equal(calls.length, 1);
+  assert.equal(peek(config, url), 'a');
+});
+
+test('stale entries are served at once and revalidated in the background', async (t) => {
+  const url = 'http://store.test/stale';
+  const { load, calls } = loader(['a', 'b']);
+  const start = Date.now();
+  const now = t.mock.method(Date, 'now', () => start);
+
+  await cached(config, url, load);
+  now.mock.mockImplementation(() => start + 60 * 1000);
+  assert.equal(await cached(config, url, load), 'a');
+  await settle();
+  assert.deepEqual(calls, [null, '"v1"']);
+  assert.equal(await cached(config, url, load), 'b');
+});
+
+test('an unchanged resource (304) keeps its value and becomes fresh again', async (t) => {
+  const url = 'http://store.test/not-modified';
+  const { load, calls } = loader(['a', null]);
+  const start = Date.now();
+  const now = t.mock.method(Date, 'now', () => start);
+
+  await cached(config, url, load);
+  // Past the stale window the revalidation is awaited
+  now.mock.mockImplementation(() => start + 400 * 1000);
+  assert.equal(await cached(config, url, load), 'a');
+  assert.deepEqual(calls, [null, '"v1"']);
+  assert.equal(peek(config, url), 'a');
+});
+
+test('fresh reads use a cached value only once the store confirms it', async () => {
+  const url = 'http://store.test/stock';
+  const { load, calls } = loader(['a', null, 'b']);
+  await cached(config, url, load);
+  assert.equal(await cached(config, url, load, { fresh: true }), 'a');
+  assert.equal(await cached(config, url, load, { fresh: true }), 'b');
+  assert.deepEqual(calls, [null, '"v1"', '"v1"']);
+});
+
+test('concurrent reads share one load', async () => {
+  const url = 'http://store.test/shared';
+  const { load, calls } = loader(['a']);
+  const values = await Promise.all([1, 2, 3].map(() => cached(config, url, load)));
+  assert.deepEqual(values, ['a', 'a', 'a']);
+  assert.equal(calls.length, 1);
+});
+
+test('invalidation drops entries by prefix', async () => {
+  const url = 'http://store.test/products/1';
+  const { load, calls } = loader(['a', 'b']);
+  await cached(config, url, load);
+  invalidate('http://store.test/products');
+  assert.equal(peek(config, url), undefined);
+  assert.equal(await cached(config, url, load), 'b');
+  assert.equal(calls.length, 2);
+});
+
+test('a TTL of 0 turns the cache off', async () => {
+  const url = 'http://store.test/uncached';
+  const { load, calls } = loader(['a', 'b']);
+  const off = { cache: { ttl: 0, staleTtl: 0 } };
+  assert.equal(await cached(off, url, load), 'a');
+  assert.equal(await cached(off, url, load), 'b');
+  assert.deepEqual(calls, [null, null]);
+});
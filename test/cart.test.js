@@ -0,0 +1,85 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from '../src/config.js';
+import { addCartItem, setCartItemQuantity, clearCart, priceCart } from '../src/cart.js';
+import { startFakeStore } from './fake-store.js';
+
+const products = [
+  {
+    id: 1,
+    title: 'Descope Tee',
+    price: 20,
+    inventory_qty: 5,
+    variants: [
+      { id: 10, option1_value: 'S', price: 20, inventory_qty: 2 },
+      { id: 11, option1_value: 'M', price: 22, inventory_qty: 3 }
+    ]
+  },
+  { id: 2, title: 'Descope Mug', price: 10, inventory_qty: 3, variants: [] }
+];
+
+let store;
+let config;
+
+before(async () => {
+  store = await startFakeStore(products);
+  config = loadConfig({ argv: ['--store-url', store.url, '--cache-ttl', '0'], env: {} });
+});
+
+after(() => store.close());
+
+const summary = (cart) => cart.lines.map(line => [line.product_id, line.variant_id, line.quantity, line.subtotal]);
+
+test('adding the same item again merges the lines', async () => {
+  const owner = 'user:merge';
+  await addCartItem(config, owner, { product_id: 2 });
+  await addCartItem(config, owner, { product_id: '2', quantity: 2 });
+  await addCartItem(config, owner, { product_id: 1, variant_id: 11 });
+
+  const cart = await priceCart(config, owner);
+  assert.deepEqual(summary(cart), [[2, null, 3, 30], [1, 11, 1, 22]]);
+  assert.equal(cart.total, 52);
+  assert.equal(cart.count, 4);
+});
+
+test('products with several variants need a variant_id', async () => {
+  await assert.rejects(addCartItem(config, 'user:variants', { product_id: 1 }), /S \(variant 10\), M \(variant 11\)/);
+  await assert.rejects(addCartItem(config, 'user:variants', { product_id: 1, variant_id: 12 }), /Variant 12/);
+  await assert.rejects(addCartItem(config, 'user:variants', { product_id: 2, quantity: 0 }), /at least 1/);
+});
+
+test('quantities are set per line, and 0 removes the line', async () => {
+  const owner = 'user:update';
+  await addCartItem(config, owner, { product_id: 1, variant_id: 10 });
+  await addCartItem(config, owner, { product_id: 1, variant_id: 11 });
+  await addCartItem(config, owner, { product_id: 2 });
+
+  assert.throws(() => setCartItemQuantity(owner, { product_id: 1, quantity: 2 }), /say which variant_id/);
+  setCartItemQuantity(owner, { product_id: 1, variant_id: 10, quantity: 0 });
+  setCartItemQuantity(owner, { product_id: 1, quantity: 2 });
+  setCartItemQuantity(owner, { product_id: 2, quantity: 4 });
+  assert.deepEqual(summary(await priceCart(config, owner)), [[1, 11, 2, 44], [2, null, 4, 40]]);
+
+  clearCart(owner);
+  assert.throws(() => setCartItemQuantity(owner, { product_id: 2, quantity: 1 }), /not in your cart/);
+});
+
+test('carts are separate per owner', async () => {
+  await addCartItem(config, 'user:a', { product_id: 2 });
+  assert.deepEqual((await priceCart(config, 'user:b')).lines, []);
+});
+
+test('prices follow the catalog and withdrawn products are flagged', async () => {
+  const owner = 'user:withdrawn';
+  await addCartItem(config, owner, { product_id: 2 });
+  await addCartItem(config, owner, { product_id: 1, variant_id: 10 });
+
+  const [tee, mug] = products.splice(0, 2, { ...products[0], variants: [products[0].variants[1]] });
+  try {
+    const cart = await priceCart(config, owner);
+    assert.deepEqual(cart.lines.map(line => line.problem), ['no longer available', 'option no longer available']);
+    assert.equal(cart.total, 0);
+  } finally {
+    products.splice(0, 1, tee, mug);
+  }
+});
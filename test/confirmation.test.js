@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { requireConfirmation } from '../src/confirmation.js';
+
+const order = { action: 'create_order', preview: '**Order preview**', details: { items: [{ product_id: 2, quantity: 1 }] } };
+
+const caller = (mode, sessionId = 'session-1', elicit) => ({ config: { orderConfirmation: mode }, sessionId, elicit });
+
+// The code from the result block meant for the user
+function userCode(result) {
+  const block = result.content.find(item => item.annotations?.audience?.includes('user'));
+  return block.text.match(/\*\*([A-Z0-9]{3}-[A-Z0-9]{3})\*\*/)[1];
+}
+
+test('token mode shows the code to the user only', async () => {
+  const { approved, result } = await requireConfirmation(caller('token'), order);
+  assert.equal(approved, false);
+
+  const code = userCode(result);
+  const agentText = result.content.filter(item => !item.annotations).map(item => item.text).join('\n');
+  assert.ok(!agentText.includes(code));
+  assert.match(agentText, /ask them for the code/);
+  assert.ok(!JSON.stringify(result.structuredContent).includes(code));
+  assert.equal(result.structuredContent.status, 'confirmation_required');
+});
+
+test('a code approves the request it was issued for, once', async () => {
+  const context = caller('token');
+  const code = userCode((await requireConfirmation(context, order)).result);
+
+  assert.deepEqual(await requireConfirmation(context, { ...order, code: code.toLowerCase() }), { approved: true });
+  const reused = await requireConfirmation(context, { ...order, code });
+  assert.equal(reused.approved, false);
+  assert.match(reused.result.content[0].text, /not valid for this order/);
+});
+
+test('a code does not approve another order or another caller', async () => {
+  const code = userCode((await requireConfirmation(caller('token'), order)).result);
+
+  const otherOrder = { ...order, details: { items: [{ product_id: 2, quantity: 5 }] }, code };
+  assert.equal((await requireConfirmation(caller('token'), otherOrder)).approved, false);
+  assert.equal((await requireConfirmation(caller('token', 'session-2'), { ...order, code })).approved, false);
+  // Still good for the order and caller it was issued for
+  assert.equal((await requireConfirmation(caller('token'), { ...order, code })).approved, true);
+});
+
+test('auto mode asks the user through elicitation when the client supports it', async () => {
+  const answers = [
+    { action: 'accept', content: { confirm: true } },
+    { action: 'decline' }
+  ];
+  const elicit = async () => answers.shift();
+
+  assert.deepEqual(await requireConfirmation(caller('auto', 'session-3', elicit), order), { approved: true });
+  const declined = await requireConfirmation(caller('auto', 'session-3', elicit), order);
+  assert.equal(declined.approved, false);
+  assert.equal(declined.result.structuredContent.status, 'declined');
+});
+
+test('none mode approves straight away', async () => {
+  assert.deepEqual(await requireConfirmation(caller('none'), order), { approved: true });
+});
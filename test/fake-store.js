@@ -0,0 +1,26 @@
+// A store API on a free port for tests. It serves `products` as they are when
+// each request arrives, so tests can change stock between calls; `legacy`
+// stores answer with a bare array and have no single-product endpoint.
+import http from 'node:http';
+
+export async function startFakeStore(products, { legacy = false } = {}) {
+  // Paths of every request, in order
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const match = req.url.match(/^\/api\/products(?:\/([^/?]+))?(?:\?|$)/);
+    const body = !match ? null
+      : match[1] ? !legacy && (products.find(product => String(product.id) === decodeURIComponent(match[1])) || null)
+        : legacy ? products : { products };
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || { error: 'Not found' }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readProductFilters, readProductSort, storeFilterParams, filterProducts, sortProducts } from '../src/filters.js';
+
+const product = (id, overrides = {}) => ({
+  id,
+  title: `Product ${id}`,
+  body: '',
+  type: 'Apparel',
+  vendor: 'Descope',
+  tags: [],
+  price: 20,
+  compare_at_price: null,
+  inventory_qty: 5,
+  variants: [],
+  created_at: '2024-01-01T00:00:00Z',
+  ...overrides
+});
+
+const products = [
+  product(1, {
+    title: 'Logo Tee',
+    tags: ['cotton'],
+    price: 25,
+    variants: [
+      { id: 10, option1_value: 'S', price: 25, inventory_qty: 0 },
+      { id: 11, option1_value: 'L', price: 60, inventory_qty: 4 }
+    ]
+  }),
+  product(2, { title: 'Mug', type: 'Accessories', price: 12, compare_at_price: 16, inventory_qty: 0, created_at: '2024-03-01T00:00:00Z' }),
+  product(3, { title: 'Hoodie', tags: ['Cotton', 'winter'], price: 55, compare_at_price: 110, created_at: '2024-02-01T00:00:00Z' })
+];
+
+const ids = (list) => list.map(item => item.id);
+
+test('filter arguments are validated', () => {
+  assert.deepEqual(readProductFilters({ category: 'Apparel', tags: 'cotton', query: '' }), { category: 'Apparel', tags: ['cotton'] });
+  assert.throws(() => readProductFilters({ min_price: -1 }), /min_price must be a non-negative number/);
+  assert.throws(() => readProductFilters({ min_price: 50, max_price: 10 }), /cannot be greater/);
+});
+
+test('sorting defaults its direction per key', () => {
+  assert.equal(readProductSort({}), null);
+  assert.deepEqual(readProductSort({ sort: 'price' }), { key: 'price', order: 'asc' });
+  assert.deepEqual(readProductSort({ sort: 'discount' }), { key: 'discount', order: 'desc' });
+  assert.throws(() => readProductSort({ sort: 'rating' }), /sort must be one of/);
+});
+
+test('variant constraints must hold for the same variant', () => {
+  // The only L is $60 and the only in-stock variant is the L
+  assert.deepEqual(ids(filterProducts(products, { options: ['l'], max_price: 50 }, [])), []);
+  assert.deepEqual(ids(filterProducts(products, { options: ['L'], in_stock: true }, [])), [1]);
+  assert.deepEqual(ids(filterProducts(products, { in_stock: true, max_price: 30 }, [])), []);
+});
+
+test('tags match case-insensitively and all must be present', () => {
+  assert.deepEqual(ids(filterProducts(products, { tags: ['cotton'] }, [])), [1, 3]);
+  assert.deepEqual(ids(filterProducts(products, { tags: ['cotton', 'WINTER'] }, [])), [3]);
+});
+
+test('filters the store handles are sent to it and not applied again', () => {
+  const filters = { category: 'Accessories', vendor: 'Descope' };
+  assert.deepEqual(storeFilterParams(filters, ['type']), { type: 'Accessories' });
+  // The store already narrowed by type, so only the vendor is checked here
+  assert.deepEqual(ids(filterProducts(products, filters, ['type'])), [1, 2, 3]);
+});
+
+test('variant filters are all re-applied when any of them is local', () => {
+  const filters = { max_price: 30, in_stock: true };
+  assert.deepEqual(storeFilterParams(filters, ['max_price']), { max_price: '30' });
+  assert.deepEqual(ids(filterProducts(products, filters, ['max_price'])), []);
+});
+
+test('products sort by price, discount and date', () => {
+  assert.deepEqual(ids(sortProducts(products, { key: 'price', order: 'asc' })), [2, 1, 3]);
+  assert.deepEqual(ids(sortProducts(products, { key: 'discount', order: 'desc' })), [3, 2, 1]);
+  assert.deepEqual(ids(sortProducts(products, { key: 'newest', order: 'desc' })), [2, 3, 1]);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from '../src/config.js';
+import { createHttpApp } from '../src/transports/http.js';
+
+const SERVER_URL = 'https://store-mcp.example.com';
+
+// The HTTP app on a free port, closed after the test; resolves to its URL
+async function startApp(t) {
+  const config = loadConfig({
+    argv: ['-t', 'streamable-http', '--server-url', SERVER_URL],
+    env: { MCP_ALLOWED_ORIGINS: 'https://console.example.com' }
+  });
+  const server = await new Promise(resolve => {
+    const listening = createHttpApp(config).listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+};
+
+const post = (url, body, headers = {}) => fetch(`${url}/mcp`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+  body: JSON.stringify(body)
+});
+
+test('browser requests from other origins are refused', async (t) => {
+  const url = await startApp(t);
+
+  const foreign = await post(url, initialize, { Origin: 'https://evil.example' });
+  assert.equal(foreign.status, 403);
+  assert.match((await foreign.json()).error.message, /origin https:\/\/evil\.example is not allowed/);
+
+  const preflight = await fetch(`${url}/mcp`, { method: 'OPTIONS', headers: { Origin: 'https://evil.example', 'Access-Control-Request-Method': 'POST' } });
+  assert.equal(preflight.headers.get('access-control-allow-origin'), null);
+
+  for (const origin of [SERVER_URL, 'https://console.example.com', 'http://localhost:6274', undefined]) {
+    const response = await post(url, initialize, origin ? { Origin: origin } : {});
+    assert.equal(response.status, 200, `origin ${origin}`);
+    await response.body?.cancel();
+  }
+});
+
+test('idle sessions are closed', async (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const start = Date.now();
+  const now = t.mock.method(Date, 'now', () => start);
+  const url = await startApp(t);
+
+  const response = await post(url, initialize);
+  const sessionId = response.headers.get('mcp-session-id');
+  await response.body?.cancel();
+  const ping = (id) => post(url, { jsonrpc: '2.0', id, method: 'ping' }, { 'Mcp-Session-Id': sessionId, 'Mcp-Protocol-Version': '2025-03-26' });
+
+  now.mock.mockImplementation(() => start + 29 * 60 * 1000);
+  t.mock.timers.tick(60 * 1000);
+  const active = await ping(2);
+  assert.equal(active.status, 200);
+  await active.body?.cancel();
+
+  now.mock.mockImplementation(() => start + 60 * 60 * 1000);
+  t.mock.timers.tick(60 * 1000);
+  assert.equal((await ping(3)).status, 404);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runOnce } from '../src/idempotency.js';
+
+// A run() that records the store keys it was given and places an order
+function placer() {
+  const storeKeys = [];
+  const run = async (storeKey) => {
+    storeKeys.push(storeKey);
+    return { value: `order-${storeKeys.length}`, final: true };
+  };
+  return { run, storeKeys };
+}
+
+const request = { items: [{ product_id: 2, quantity: 1 }] };
+
+test('a repeated key replays the first outcome', async () => {
+  const { run, storeKeys } = placer();
+  assert.deepEqual(await runOnce('user:a', { key: 'k1', request }, run), { value: 'order-1', replayed: false });
+  assert.deepEqual(await runOnce('user:a', { key: ' k1 ', request }, run), { value: 'order-1', replayed: true });
+  assert.equal(storeKeys.length, 1);
+});
+
+test('concurrent repeats wait for the first request', async () => {
+  const { run, storeKeys } = placer();
+  const results = await Promise.all([1, 2].map(() => runOnce('user:b', { key: null, request }, run)));
+  assert.deepEqual(results.map(result => result.replayed).sort(), [false, true]);
+  assert.equal(storeKeys.length, 1);
+});
+
+test('a key reused for a different order is refused', async () => {
+  const { run } = placer();
+  await runOnce('user:c', { key: 'k2', request }, run);
+  await assert.rejects(runOnce('user:c', { key: 'k2', request: { items: [] } }, run), /different order/);
+});
+
+test('keys are scoped to the caller', async () => {
+  const { run, storeKeys } = placer();
+  await runOnce('user:d', { key: 'shared', request }, run);
+  assert.equal((await runOnce('user:e', { key: 'shared', request }, run)).replayed, false);
+  assert.notEqual(storeKeys[0], storeKeys[1]);
+});
+
+test('outcomes that are not final let the next request run', async () => {
+  const outcomes = [{ value: 'confirm first', final: false }, { value: 'placed', final: true }];
+  const run = async () => outcomes.shift();
+  assert.equal((await runOnce('user:f', { key: 'k3', request }, run)).value, 'confirm first');
+  assert.deepEqual(await runOnce('user:f', { key: 'k3', request }, run), { value: 'placed', replayed: false });
+
+  const failing = async () => { throw new Error('store down'); };
+  await assert.rejects(runOnce('user:f', { key: 'k4', request }, failing), /store down/);
+  assert.equal((await runOnce('user:f', { key: 'k4', request }, placer().run)).replayed, false);
+});
+
+test('identical orders without a key after the window get new store keys', async (t) => {
+  const { run, storeKeys } = placer();
+  const start = Date.now();
+  const now = t.mock.method(Date, 'now', () => start);
+
+  await runOnce('user:g', { key: null, request }, run);
+  now.mock.mockImplementation(() => start + 6 * 60 * 1000);
+  assert.deepEqual(await runOnce('user:g', { key: null, request }, run), { value: 'order-2', replayed: false });
+  assert.notEqual(storeKeys[0], storeKeys[1]);
+
+  // A client's key always reaches the store unchanged
+  await runOnce('user:g', { key: 'k5', request }, run);
+  now.mock.mockImplementation(() => start + 25 * 60 * 60 * 1000);
+  await runOnce('user:g', { key: 'k5', request }, run);
+  assert.equal(storeKeys[2], storeKeys[3]);
+});
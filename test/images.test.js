@@ -0,0 +1,47 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { loadConfig } from '../src/config.js';
+import { getProductImage, getProductImageUrl } from '../src/images.js';
+
+// Enough of a PNG for its magic bytes to be recognised
+const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(8)]);
+
+// A store serving images for the handles in `images`
+const images = new Set(['logo-tee', 'descope-logo']);
+const requests = [];
+const store = http.createServer((req, res) => {
+  requests.push(req.url);
+  const match = req.url.match(/^\/images\/small\/([\w-]+)\.png$/);
+  if (!match || !images.has(match[1])) {
+    res.writeHead(404).end();
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'image/png' }).end(png);
+});
+
+let config;
+
+before(async () => {
+  await new Promise(resolve => store.listen(0, '127.0.0.1', resolve));
+  config = loadConfig({ argv: ['--store-url', `http://127.0.0.1:${store.address().port}`, '--image-sources', 'store'], env: {} });
+});
+
+after(() => new Promise(resolve => store.close(resolve)));
+
+test('the public URL is the one the store source loads', async () => {
+  const product = { handle: 'logo-tee' };
+  const image = await getProductImage(config, product);
+  assert.equal(image.mimeType, 'image/png');
+  assert.equal(`${config.storeUrl}${requests.at(-1)}`, getProductImageUrl(config, product));
+});
+
+test('products without an image fall back to the store logo', async () => {
+  const image = await getProductImage(config, { handle: 'sticker-pack' });
+  assert.equal(image.mimeType, 'image/png');
+  assert.deepEqual(requests.slice(-2), ['/images/small/sticker-pack.png', '/images/small/descope-logo.png']);
+});
+
+test('image_url is resolved against the store', () => {
+  assert.equal(getProductImageUrl(config, { handle: 'mug', image_url: '/media/mug.jpg' }), `${config.storeUrl}/media/mug.jpg`);
+});
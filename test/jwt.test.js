@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SignJWT } from 'jose';
+import { JWT_ALGORITHMS, generateSigningKeyPair, importSigningKey, looksLikeJwt, signJwt, verifyJwt } from '../src/auth/jwt.js';
+
+const ISSUER = 'https://mcp.example.com';
+const AUDIENCE = 'https://mcp.example.com/mcp';
+
+async function createKey(kid, alg) {
+  const { privateJwk, publicJwk } = await generateSigningKeyPair(alg);
+  return {
+    kid,
+    alg,
+    privateKey: await importSigningKey(privateJwk, alg),
+    publicKey: await importSigningKey(publicJwk, alg)
+  };
+}
+
+const keys = {
+  rsa: await createKey('rsa-1', 'RS256'),
+  ec: await createKey('ec-1', 'ES256')
+};
+const findKey = async (kid) => Object.values(keys).find(key => key.kid === kid) || null;
+const verify = (token, options = {}) => verifyJwt(token, { findKey, issuer: ISSUER, audience: AUDIENCE, ...options });
+
+const now = () => Math.floor(Date.now() / 1000);
+const claims = (overrides = {}) => ({ iss: ISSUER, aud: AUDIENCE, sub: 'U1', scope: 'store:read', iat: now(), exp: now() + 300, ...overrides });
+
+const segment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+for (const alg of JWT_ALGORITHMS) {
+  test(`${alg} tokens verify`, async () => {
+    const key = alg === 'RS256' ? keys.rsa : keys.ec;
+    const token = await signJwt(claims(), key);
+    assert.ok(looksLikeJwt(token));
+    const payload = await verify(token);
+    assert.equal(payload.sub, 'U1');
+    assert.equal(payload.scope, 'store:read');
+  });
+}
+
+test('a modified payload fails the signature check', async () => {
+  const [header, , signature] = (await signJwt(claims(), keys.rsa)).split('.');
+  const forged = [header, segment(claims({ scope: 'store:admin' })), signature].join('.');
+  await assert.rejects(verify(forged), { message: 'Invalid JWT signature' });
+});
+
+test('unsigned tokens are rejected', async () => {
+  const token = [segment({ alg: 'none', typ: 'at+jwt', kid: 'rsa-1' }), segment(claims()), ''].join('.');
+  await assert.rejects(verify(token));
+});
+
+test('the key decides the algorithm, not the header', async () => {
+  // An ES256 signature presented under the RSA key's kid
+  const token = await new SignJWT(claims())
+    .setProtectedHeader({ alg: 'ES256', typ: 'at+jwt', kid: 'rsa-1' })
+    .sign(keys.ec.privateKey);
+  await assert.rejects(verify(token), { message: 'JWT signed with an unknown key' });
+});
+
+test('tokens from unknown keys are rejected', async () => {
+  const stranger = await createKey('other', 'RS256');
+  const token = await signJwt(claims(), stranger);
+  await assert.rejects(verify(token), { message: 'JWT signed with an unknown key' });
+
+  const reused = await signJwt(claims(), { ...stranger, kid: 'rsa-1' });
+  await assert.rejects(verify(reused), { message: 'Invalid JWT signature' });
+});
+
+test('exp is enforced with 30 seconds of clock skew', async () => {
+  await assert.rejects(verify(await signJwt(claims({ exp: now() - 60 }), keys.rsa)), { message: 'JWT has expired' });
+  await verify(await signJwt(claims({ exp: now() - 10 }), keys.rsa));
+});
+
+test('nbf is enforced with 30 seconds of clock skew', async () => {
+  await assert.rejects(verify(await signJwt(claims({ nbf: now() + 60 }), keys.rsa)), { message: 'JWT is not valid yet' });
+  await verify(await signJwt(claims({ nbf: now() + 10 }), keys.rsa));
+});
+
+test('exp is required', async () => {
+  const { exp, ...withoutExp } = claims();
+  await assert.rejects(verify(await signJwt(withoutExp, keys.rsa)), { message: 'JWT has an invalid exp claim' });
+});
+
+test('issuer and audience must match', async () => {
+  await assert.rejects(
+    verify(await signJwt(claims({ iss: 'https://elsewhere.example.com' }), keys.rsa)),
+    { message: 'JWT was issued by another server' }
+  );
+  await assert.rejects(
+    verify(await signJwt(claims({ aud: 'https://elsewhere.example.com/mcp' }), keys.rsa)),
+    { message: 'JWT is meant for another audience' }
+  );
+});
+
+test('only access tokens are accepted', async () => {
+  const token = await new SignJWT(claims())
+    .setProtectedHeader({ alg: 'RS256', typ: 'JWT', kid: 'rsa-1' })
+    .sign(keys.rsa.privateKey);
+  await assert.rejects(verify(token), { message: 'JWT has an invalid typ claim' });
+});
@@ -0,0 +1,299 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import express from 'express';
+import { loadConfig } from '../src/config.js';
+import { createOAuthServer } from '../src/auth/oauth.js';
+
+const REDIRECT_URI = 'http://localhost:8976/callback';
+
+// Stands in for the Descope SDK: every login is the same user, and each
+// refresh replaces the session
+const user = { sub: 'U1', email: 'user@example.com', permissions: [] };
+let sessionCount = 0;
+const descopeClient = {
+  oauth: {
+    start: { google: async (callbackUrl) => ({ ok: true, data: { url: `${callbackUrl}&code=DESCOPE_CODE` } }) },
+    exchange: async () => ({ ok: true, data: { sessionJwt: `session-${++sessionCount}`, refreshJwt: 'descope-refresh' } })
+  },
+  validateSession: async (jwt) => ({ jwt, token: user }),
+  refreshSession: async () => ({ jwt: `session-${++sessionCount}`, token: user })
+};
+
+// An authorization server on a free port, as { url, auth, close }
+async function startServer(argv = []) {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const close = () => new Promise(resolve => server.close(resolve));
+
+  try {
+    const config = loadConfig({
+      argv: ['-t', 'streamable-http', '-a', 'oauth', '--server-url', url, ...argv],
+      env: { DESCOPE_PROJECT_ID: 'Ptest' }
+    });
+    const auth = createOAuthServer(config, { descopeClient });
+    app.use(auth.router);
+    return { url, auth, close };
+  } catch (error) {
+    await close();
+    throw error;
+  }
+}
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server?.close());
+
+const get = (path) => fetch(new URL(path, server.url), { redirect: 'manual' });
+
+const post = (path, params, headers = {}) => fetch(`${server.url}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+  body: new URLSearchParams(params)
+});
+
+async function register(metadata = {}) {
+  const response = await fetch(`${server.url}/oauth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ client_name: 'Test client', redirect_uris: [REDIRECT_URI], ...metadata })
+  });
+  assert.equal(response.status, 201);
+  return response.json();
+}
+
+function pkce() {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  return { verifier, challenge: crypto.createHash('sha256').update(verifier).digest('base64url') };
+}
+
+const authorizeUrl = (client, params = {}) => `/oauth/authorize?${new URLSearchParams({
+  client_id: client.client_id,
+  redirect_uri: REDIRECT_URI,
+  response_type: 'code',
+  state: 'xyz',
+  ...params
+})}`;
+
+// Sign in through the authorization endpoint and the Descope login; returns
+// the authorization code sent to the client
+async function authorize(client, challenge) {
+  const authorized = await get(authorizeUrl(client, { code_challenge: challenge, code_challenge_method: 'S256' }));
+  assert.equal(authorized.status, 302);
+  const requestId = new URL(authorized.headers.get('location'), server.url).searchParams.get('request_id');
+
+  const started = await get(`/oauth/start/google?request_id=${requestId}`);
+  const callback = await get(started.headers.get('location'));
+  const redirect = new URL(callback.headers.get('location'));
+  assert.equal(`${redirect.origin}${redirect.pathname}`, REDIRECT_URI);
+  assert.equal(redirect.searchParams.get('state'), 'xyz');
+  return redirect.searchParams.get('code');
+}
+
+// A token response for a fresh login
+async function login(client) {
+  const { verifier, challenge } = pkce();
+  const code = await authorize(client, challenge);
+  const response = await post('/oauth/token', {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: REDIRECT_URI,
+    code_verifier: verifier,
+    client_id: client.client_id,
+    client_secret: client.client_secret
+  });
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+const refresh = (client, refreshToken) => post('/oauth/token', {
+  grant_type: 'refresh_token',
+  refresh_token: refreshToken,
+  client_id: client.client_id,
+  client_secret: client.client_secret
+});
+
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+test('the authorization code grant issues tokens for this server', async () => {
+  const client = await register();
+  const tokens = await login(client);
+  assert.equal(tokens.token_type, 'Bearer');
+  assert.match(tokens.refresh_token, /^mcp_rt_/);
+
+  const info = await server.auth.authenticate(bearer(tokens.access_token));
+  assert.equal(info.clientId, client.client_id);
+  assert.equal(info.extra.user.sub, 'U1');
+  assert.deepEqual(info.scopes, ['mcp:tools', 'mcp:resources', 'store:read']);
+});
+
+test('authorization codes need the right verifier, client and secret, and work once', async () => {
+  const client = await register();
+  const { verifier, challenge } = pkce();
+  const code = await authorize(client, challenge);
+  const exchange = (params) => post('/oauth/token', {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: REDIRECT_URI,
+    code_verifier: verifier,
+    client_id: client.client_id,
+    client_secret: client.client_secret,
+    ...params
+  });
+
+  const withoutSecret = await exchange({ client_secret: '' });
+  assert.equal(withoutSecret.status, 401);
+  assert.equal((await withoutSecret.json()).error, 'invalid_client');
+
+  const wrongVerifier = await exchange({ code_verifier: pkce().verifier });
+  assert.equal((await wrongVerifier.json()).error, 'invalid_grant');
+
+  // The failed attempt spent the code
+  const replayed = await exchange({});
+  assert.equal((await replayed.json()).error, 'invalid_grant');
+});
+
+test('public clients rely on PKCE alone', async () => {
+  const client = await register({ token_endpoint_auth_method: 'none' });
+  const tokens = await login({ ...client, client_secret: '' });
+  assert.ok(tokens.access_token);
+});
+
+test('authorization errors go back to a registered redirect_uri with the state', async () => {
+  const client = await register();
+
+  const unregistered = await get(authorizeUrl(client, { redirect_uri: 'https://evil.example.com/callback', code_challenge: 'x' }));
+  assert.equal(unregistered.status, 400);
+
+  const missingPkce = await get(authorizeUrl(client));
+  const redirect = new URL(missingPkce.headers.get('location'));
+  assert.equal(redirect.searchParams.get('error'), 'invalid_request');
+  assert.equal(redirect.searchParams.get('state'), 'xyz');
+
+  const otherResource = await get(authorizeUrl(client, { code_challenge: 'x', resource: 'https://elsewhere.example.com/mcp' }));
+  assert.equal(new URL(otherResource.headers.get('location')).searchParams.get('error'), 'invalid_target');
+});
+
+test('refresh tokens rotate, and reusing one revokes the whole login', async () => {
+  const client = await register();
+  const first = await login(client);
+
+  const rotated = await refresh(client, first.refresh_token);
+  assert.equal(rotated.status, 200);
+  const second = await rotated.json();
+  assert.notEqual(second.refresh_token, first.refresh_token);
+  await server.auth.authenticate(bearer(second.access_token));
+
+  const reused = await refresh(client, first.refresh_token);
+  assert.equal((await reused.json()).error, 'invalid_grant');
+
+  await assert.rejects(server.auth.authenticate(bearer(second.access_token)), { error: 'invalid_token' });
+  assert.equal((await (await refresh(client, second.refresh_token)).json()).error, 'invalid_grant');
+});
+
+test('concurrent refreshes with one token redeem it once', async () => {
+  const client = await register();
+  const { refresh_token } = await login(client);
+  const responses = await Promise.all([1, 2, 3].map(() => refresh(client, refresh_token)));
+  assert.equal(responses.filter(response => response.status === 200).length, 1);
+});
+
+test('refresh tokens are bound to their client', async () => {
+  const client = await register();
+  const other = await register();
+  const { refresh_token } = await login(client);
+
+  const stolen = await refresh(other, refresh_token);
+  assert.equal((await stolen.json()).error, 'invalid_grant');
+
+  const unauthenticated = await refresh({ ...client, client_secret: 'wrong' }, refresh_token);
+  assert.equal(unauthenticated.status, 401);
+});
+
+test('introspection describes active tokens and revocation ends the login', async () => {
+  const client = await register();
+  const other = await register();
+  const tokens = await login(client);
+  const introspect = async (token) => (await post('/oauth/introspect', {
+    token,
+    client_id: client.client_id,
+    client_secret: client.client_secret
+  })).json();
+
+  const active = await introspect(tokens.access_token);
+  assert.equal(active.active, true);
+  assert.equal(active.client_id, client.client_id);
+  assert.equal(active.sub, 'U1');
+
+  const foreign = await post('/oauth/revoke', { token: tokens.refresh_token, client_id: other.client_id, client_secret: other.client_secret });
+  assert.equal((await foreign.json()).error, 'unauthorized_client');
+
+  const revoked = await post('/oauth/revoke', { token: tokens.refresh_token, client_id: client.client_id, client_secret: client.client_secret });
+  assert.equal(revoked.status, 200);
+  assert.deepEqual(await introspect(tokens.access_token), { active: false });
+  assert.deepEqual(await introspect(tokens.refresh_token), { active: false });
+  await assert.rejects(server.auth.authenticate(bearer(tokens.access_token)), { error: 'invalid_token' });
+});
+
+test('client credentials need a confidential client', async () => {
+  const client = await register({ grant_types: ['client_credentials'] });
+  const basic = Buffer.from(`${client.client_id}:${client.client_secret}`).toString('base64');
+  const response = await post('/oauth/token', { grant_type: 'client_credentials' }, { authorization: `Basic ${basic}` });
+  assert.equal(response.status, 200);
+  const { access_token } = await response.json();
+  assert.equal((await server.auth.authenticate(bearer(access_token))).extra.user, null);
+
+  const publicClient = await register({ token_endpoint_auth_method: 'none' });
+  const rejected = await post('/oauth/token', { grant_type: 'client_credentials', client_id: publicClient.client_id });
+  assert.equal(rejected.status, 401);
+});
+
+test('tokens can only be requested for this server', async () => {
+  const client = await register();
+  const response = await post('/oauth/token', {
+    grant_type: 'client_credentials',
+    client_id: client.client_id,
+    client_secret: client.client_secret,
+    resource: 'https://elsewhere.example.com/mcp'
+  });
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, 'invalid_target');
+});
+
+test('JWT access tokens verify against the published keys', async () => {
+  const jwtServer = await startServer(['--oauth-token-format', 'jwt']);
+  try {
+    const client = await fetch(`${jwtServer.url}/oauth/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ redirect_uris: [REDIRECT_URI] })
+    }).then(response => response.json());
+    const response = await fetch(`${jwtServer.url}/oauth/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ grant_type: 'client_credentials', client_id: client.client_id, client_secret: client.client_secret })
+    });
+    const { access_token } = await response.json();
+    assert.equal(access_token.split('.').length, 3);
+
+    const info = await jwtServer.auth.authenticate(bearer(access_token));
+    assert.equal(info.clientId, client.client_id);
+
+    // Another server does not accept it
+    await assert.rejects(server.auth.authenticate(bearer(access_token)), { error: 'invalid_token' });
+
+    const { keys } = await (await fetch(`${jwtServer.url}/.well-known/jwks.json`)).json();
+    assert.ok(keys.length > 0);
+    assert.ok(keys.every(key => !key.d));
+  } finally {
+    await jwtServer.close();
+  }
+});
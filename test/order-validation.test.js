@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from '../src/config.js';
+import { validateOrder } from '../src/order-validation.js';
+import { startFakeStore } from './fake-store.js';
+
+const products = [
+  {
+    id: 1,
+    title: 'Descope Tee',
+    price: 20,
+    inventory_qty: 5,
+    variants: [
+      { id: 10, option1_value: 'S', price: 20, inventory_qty: 5 },
+      { id: 11, option1_value: 'M', price: 22, inventory_qty: 0 }
+    ]
+  },
+  { id: 2, title: 'Descope Mug', price: 10, inventory_qty: 3, variants: [] }
+];
+
+let store;
+let config;
+let cachingConfig;
+
+before(async () => {
+  store = await startFakeStore(products);
+  config = loadConfig({ argv: ['--store-url', store.url, '--cache-ttl', '0'], env: {} });
+  cachingConfig = loadConfig({ argv: ['--store-url', store.url], env: {} });
+});
+
+after(() => store.close());
+
+const codes = (result) => result.problems.map(problem => [problem.item, problem.code]);
+
+test('a valid order is priced and gets its variant ids', async () => {
+  const result = await validateOrder(config, [
+    { product_id: 2, quantity: 2 },
+    { product_id: 1, variant_id: '10', quantity: 1 }
+  ]);
+  assert.deepEqual(result.problems, []);
+  assert.deepEqual(result.items, [
+    { product_id: 2, quantity: 2 },
+    { product_id: 1, variant_id: 10, quantity: 1 }
+  ]);
+  assert.equal(result.total, 40);
+});
+
+test('an empty order is rejected', async () => {
+  assert.deepEqual(codes(await validateOrder(config, [])), [[null, 'empty_order']]);
+});
+
+test('each unusable item is reported by position', async () => {
+  const result = await validateOrder(config, [
+    { product_id: 2, quantity: 1 },
+    { product_id: 99, quantity: 1 },
+    { product_id: 1, quantity: 1 },
+    { product_id: 1, variant_id: 12, quantity: 1 },
+    { product_id: 2, quantity: 0 },
+    { product_id: 1, variant_id: 11, quantity: 1 }
+  ]);
+  assert.deepEqual(codes(result), [
+    [2, 'product_not_found'],
+    [3, 'variant_required'],
+    [4, 'variant_not_found'],
+    [5, 'invalid_quantity'],
+    [6, 'out_of_stock']
+  ]);
+  assert.match(result.problems[1].message, /S \(variant 10\), M \(variant 11\)/);
+  // The valid item is still ready to submit
+  assert.deepEqual(result.items, [{ product_id: 2, quantity: 1 }]);
+  assert.equal(result.total, 10);
+});
+
+test('stock is checked against the quantity over all items', async () => {
+  const result = await validateOrder(config, [
+    { product_id: 2, quantity: 2 },
+    { product_id: 2, quantity: 2 }
+  ]);
+  assert.deepEqual(codes(result), [[1, 'insufficient_stock'], [2, 'insufficient_stock']]);
+  assert.match(result.problems[0].message, /Only 3 of Descope Mug in stock; 4 requested/);
+  assert.equal(result.total, 0);
+});
+
+test('stock is read fresh, not from the cache', async () => {
+  const order = [{ product_id: 2, quantity: 3 }];
+  assert.deepEqual((await validateOrder(cachingConfig, order)).problems, []);
+
+  // Sold elsewhere while the catalog is still fresh in the cache
+  products[1].inventory_qty = 1;
+  try {
+    assert.deepEqual(codes(await validateOrder(cachingConfig, order)), [[1, 'insufficient_stock']]);
+  } finally {
+    products[1].inventory_qty = 3;
+  }
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { paginate, InvalidCursorError } from '../src/pagination.js';
+
+const items = Array.from({ length: 7 }, (_, index) => ({ id: index + 1 }));
+
+test('cursors walk every page once', () => {
+  const first = paginate(items, { limit: 3, scope: { query: 'shirt' } });
+  assert.deepEqual(first.items.map(item => item.id), [1, 2, 3]);
+  assert.equal(first.total, 7);
+  assert.ok(first.nextCursor);
+
+  const second = paginate(items, { cursor: first.nextCursor, limit: 3, scope: { query: 'shirt' } });
+  assert.deepEqual(second.items.map(item => item.id), [4, 5, 6]);
+  assert.equal(second.offset, 3);
+
+  const last = paginate(items, { cursor: second.nextCursor, limit: 3, scope: { query: 'shirt' } });
+  assert.deepEqual(last.items.map(item => item.id), [7]);
+  assert.equal(last.nextCursor, undefined);
+});
+
+test('page size is capped', () => {
+  const many = Array.from({ length: 120 }, (_, index) => ({ id: index }));
+  assert.equal(paginate(many, { limit: 500, scope: {} }).items.length, 50);
+  assert.equal(paginate(many, { limit: 0, scope: {} }).items.length, 1);
+});
+
+test('cursors are opaque base64url', () => {
+  const { nextCursor } = paginate(items, { limit: 2, scope: {} });
+  assert.match(nextCursor, /^[\w-]+$/);
+});
+
+test('a cursor from another query is rejected', () => {
+  const { nextCursor } = paginate(items, { limit: 2, scope: { query: 'shirt' } });
+  assert.throws(
+    () => paginate(items, { cursor: nextCursor, limit: 2, scope: { query: 'mug' } }),
+    error => error instanceof InvalidCursorError && /does not belong to this query/.test(error.message)
+  );
+});
+
+test('malformed and tampered cursors are rejected', () => {
+  assert.throws(() => paginate(items, { cursor: 'not a cursor', scope: {} }), InvalidCursorError);
+
+  const { nextCursor } = paginate(items, { limit: 2, scope: {} });
+  const decoded = JSON.parse(Buffer.from(nextCursor, 'base64url').toString());
+  const tampered = Buffer.from(JSON.stringify({ ...decoded, o: -5 })).toString('base64url');
+  assert.throws(() => paginate(items, { cursor: tampered, scope: {} }), InvalidCursorError);
+});
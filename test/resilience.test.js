@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withRetries, getCircuitBreaker, CircuitOpenError } from '../src/resilience.js';
+
+const options = { retries: 2, baseDelay: 1, maxDelay: 20 };
+
+// An attempt that fails with `errors` in turn, then resolves to 'ok'
+function flaky(errors) {
+  const attempt = async (number) => {
+    attempt.calls++;
+    if (number < errors.length) throw errors[number];
+    return 'ok';
+  };
+  attempt.calls = 0;
+  return attempt;
+}
+
+const retryable = (error) => error.retryable ? error.retryAfter ?? 0 : null;
+const failure = (fields = {}) => Object.assign(new Error('upstream failed'), { retryable: true, ...fields });
+
+test('retryable failures are retried until an attempt succeeds', async () => {
+  const attempt = flaky([failure(), failure()]);
+  assert.equal(await withRetries(attempt, { ...options, retryDelay: retryable }), 'ok');
+  assert.equal(attempt.calls, 3);
+});
+
+test('the last error is thrown once retries run out', async () => {
+  const attempt = flaky([failure(), failure(), failure({ message: 'third' })]);
+  await assert.rejects(withRetries(attempt, { ...options, retryDelay: retryable }), { message: 'third' });
+  assert.equal(attempt.calls, 3);
+});
+
+test('final errors are not retried', async () => {
+  const attempt = flaky([failure({ retryable: false })]);
+  await assert.rejects(withRetries(attempt, { ...options, retryDelay: retryable }));
+  assert.equal(attempt.calls, 1);
+});
+
+test('a Retry-After longer than the largest delay fails straight away', async (t) => {
+  const attempt = flaky([failure({ retryAfter: 5000 })]);
+  await assert.rejects(withRetries(attempt, { ...options, retryDelay: retryable }));
+  assert.equal(attempt.calls, 1);
+
+  // Shorter ones are waited for
+  const delays = [];
+  const setTimeout = globalThis.setTimeout;
+  t.mock.method(globalThis, 'setTimeout', (callback, delay) => {
+    delays.push(delay);
+    return setTimeout(callback, 0);
+  });
+  const shortWait = flaky([failure({ retryAfter: 10 })]);
+  assert.equal(await withRetries(shortWait, { ...options, retryDelay: retryable }), 'ok');
+  assert.equal(delays.length, 1);
+  assert.ok(delays[0] >= 10);
+});
+
+test('the circuit opens after repeated failures and lets one trial through after the cooldown', async (t) => {
+  const start = Date.now();
+  const now = t.mock.method(Date, 'now', () => start);
+  t.mock.method(console, 'error', () => {});
+  const breaker = getCircuitBreaker('test-upstream', { failureThreshold: 2, cooldown: 1000 });
+
+  breaker.enter();
+  breaker.failed();
+  breaker.enter();
+  breaker.failed();
+  assert.throws(() => breaker.enter(), CircuitOpenError);
+
+  now.mock.mockImplementation(() => start + 1000);
+  breaker.enter();
+  assert.throws(() => breaker.enter(), CircuitOpenError, 'only one trial request at a time');
+  breaker.succeeded();
+  breaker.enter();
+});
+
+test('a failed trial re-opens the circuit', async (t) => {
+  const start = Date.now();
+  const now = t.mock.method(Date, 'now', () => start);
+  t.mock.method(console, 'error', () => {});
+  const breaker = getCircuitBreaker('test-trial', { failureThreshold: 1, cooldown: 1000 });
+
+  breaker.failed();
+  now.mock.mockImplementation(() => start + 1000);
+  breaker.enter();
+  breaker.failed();
+  assert.throws(() => breaker.enter(), CircuitOpenError);
+});
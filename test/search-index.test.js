@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { searchCatalog, getSearchIndex, tokenize } from '../src/search-index.js';
+
+const product = (id, title, overrides = {}) => ({
+  id,
+  title,
+  body: '',
+  type: 'Apparel',
+  tags: [],
+  variants: [],
+  ...overrides
+});
+
+const products = [
+  product(1, 'Descope Logo Tee', { body: '<p>Soft <span>cotton</span> tee with the logo.</p>', variants: [{ option1_value: 'XL' }] }),
+  product(2, 'Developer Hoodie', { body: '<p>Warm fleece hoodie.</p>', tags: ['winter'] }),
+  product(3, 'Coffee Mug', { type: 'Accessories', body: '<p>Holds a lot of coffee; also mentions a tee.</p>' }),
+  product(4, 'Sticker Pack', { type: 'Accessories' })
+];
+
+const ids = (results) => results.map(result => result.product.id);
+
+test('title matches rank above body matches', () => {
+  const results = searchCatalog(products, 'tee');
+  assert.deepEqual(ids(results), [1, 3]);
+  assert.equal(results[0].highlights.title, 'Descope Logo **Tee**');
+});
+
+test('queries match synonyms, misspellings and prefixes', () => {
+  const [shirt] = searchCatalog(products, 'shirt');
+  assert.equal(shirt.product.id, 1);
+  assert.deepEqual(shirt.matches, [{ query: 'shirt', word: 'tee', kind: 'synonym' }]);
+
+  const [hoodie] = searchCatalog(products, 'hoddie');
+  assert.equal(hoodie.product.id, 2);
+  assert.equal(hoodie.matches[0].kind, 'fuzzy');
+
+  assert.deepEqual(ids(searchCatalog(products, 'stick')), [4]);
+});
+
+test('HTML is stripped before indexing and in snippets', () => {
+  const [result] = searchCatalog(products, 'cotton');
+  assert.equal(result.product.id, 1);
+  assert.equal(result.highlights.snippet, 'Soft **cotton** tee with the logo.');
+  assert.deepEqual(searchCatalog(products, 'span'), []);
+});
+
+test('a query of stop words matches everything', () => {
+  assert.deepEqual(ids(searchCatalog(products, 'the and of')), [1, 2, 3, 4]);
+});
+
+test('the index is reused until the catalog changes', () => {
+  const index = getSearchIndex(products);
+  assert.equal(getSearchIndex(structuredClone(products)), index);
+  assert.notEqual(getSearchIndex([...products, product(5, 'Water Bottle')]), index);
+});
+
+test('plurals share a stem', () => {
+  assert.deepEqual(tokenize('Stickers'), tokenize('sticker'));
+});
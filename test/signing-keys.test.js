@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../src/auth/storage.js';
+import { createKeyRing, JWKS_MAX_AGE } from '../src/auth/signing-keys.js';
+
+const options = { algorithm: 'ES256', rotation: 3600, tokenTtl: 600 };
+
+const kids = async (ring) => (await ring.jwks()).keys.map(key => key.kid);
+
+test('instances rotating at the same moment all publish their keys', async (t) => {
+  const storage = createStorage({ type: 'memory' });
+  t.after(() => storage.close());
+  const rings = [1, 2, 3].map(() => createKeyRing(storage, options));
+
+  const signing = await Promise.all(rings.map(ring => ring.signingKey()));
+  // A new instance reads the stored list
+  const published = await kids(createKeyRing(storage, options));
+  assert.equal(published.length, 3);
+  for (const { kid } of signing) {
+    assert.ok(published.includes(kid));
+  }
+});
+
+test('new keys are published before they sign and retired keys are dropped', async (t) => {
+  const storage = createStorage({ type: 'memory' });
+  t.after(() => storage.close());
+  const start = Date.now();
+  const now = t.mock.method(Date, 'now', () => start);
+  const ring = createKeyRing(storage, options);
+
+  const first = await ring.signingKey();
+  now.mock.mockImplementation(() => start + options.rotation * 1000);
+  assert.equal((await ring.signingKey()).kid, first.kid, 'the new key is not used until clients may have seen it');
+  const [, second] = await kids(ring);
+  assert.ok(second && second !== first.kid);
+
+  now.mock.mockImplementation(() => start + (options.rotation + JWKS_MAX_AGE) * 1000);
+  assert.equal((await ring.signingKey()).kid, second);
+  assert.ok(await ring.findKey(first.kid), 'tokens signed with the old key still verify');
+
+  now.mock.mockImplementation(() => start + (options.rotation + JWKS_MAX_AGE + options.tokenTtl + 61) * 1000);
+  assert.deepEqual(await kids(createKeyRing(storage, options)), [second]);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createStorage, hashSecret, secretMatches } from '../src/auth/storage.js';
+
+test('values expire and single-use values are taken once', async (t) => {
+  const storage = createStorage({ type: 'memory' });
+  t.after(() => storage.close());
+
+  await storage.set('client:a', { name: 'A' });
+  await storage.set('code:b', { user: 'u1' }, Date.now() + 60 * 1000);
+  await storage.set('code:c', { user: 'u2' }, Date.now() - 1);
+  assert.deepEqual(await storage.get('client:a'), { name: 'A' });
+  assert.equal(await storage.get('code:c'), null);
+
+  const takes = await Promise.all([storage.take('code:b'), storage.take('code:b')]);
+  assert.deepEqual(takes, [{ user: 'u1' }, null]);
+});
+
+test('concurrent appends are all kept', async (t) => {
+  const storage = createStorage({ type: 'memory' });
+  t.after(() => storage.close());
+
+  await Promise.all([1, 2, 3].map(item => storage.append('family:x', item)));
+  assert.deepEqual((await storage.takeList('family:x')).sort(), [1, 2, 3]);
+  assert.deepEqual(await storage.takeList('family:x'), []);
+});
+
+test('the file backend keeps entries across restarts', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'oauth-storage-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const file = path.join(directory, 'oauth.json');
+
+  const first = createStorage({ type: 'file', path: file });
+  await first.set('client:a', { name: 'A' });
+  await first.append('family:x', 'token-1');
+  await first.close();
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+  const second = createStorage({ type: 'file', path: file });
+  t.after(() => second.close());
+  assert.deepEqual(await second.get('client:a'), { name: 'A' });
+  assert.deepEqual(await second.takeList('family:x'), ['token-1']);
+});
+
+test('secrets are compared by hash', () => {
+  const hash = hashSecret('s3cret');
+  assert.equal(secretMatches('s3cret', hash), true);
+  assert.equal(secretMatches('other', hash), false);
+  assert.equal(secretMatches(undefined, hash), false);
+});
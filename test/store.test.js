@@ -0,0 +1,82 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from '../src/config.js';
+import { fetchProducts, fetchProduct, StoreApiError } from '../src/store.js';
+import { startFakeStore } from './fake-store.js';
+
+const stores = [];
+after(() => Promise.all(stores.map(store => store.close())));
+
+// Config for a fake store serving `products`, without caching or retries
+async function storeConfig(products, options) {
+  const store = await startFakeStore(products, options);
+  stores.push(store);
+  return loadConfig({ argv: ['--store-url', store.url, '--cache-ttl', '0', '--store-retries', '0'], env: {} });
+}
+
+test('current payloads are normalised into the product model', async () => {
+  const config = await storeConfig([{
+    id: 1,
+    title: 'Logo Tee',
+    handle: 'logo-tee',
+    body: '<p>Soft tee</p>',
+    type: 'Apparel',
+    price: '25.00',
+    inventory_qty: 7,
+    tags: ['cotton'],
+    variants: [{ id: 10, option1_value: 'M', price: 25, inventory_qty: 7, sku: 'TEE-M' }]
+  }]);
+
+  const [product] = await fetchProducts(config);
+  assert.equal(product.price, 25);
+  assert.equal(product.vendor, 'Descope');
+  assert.equal(product.sku, 'TEE-M');
+  assert.deepEqual(product.variants, [{ id: 10, option1_value: 'M', price: 25, inventory_qty: 7, sku: 'TEE-M' }]);
+  assert.deepEqual(await fetchProduct(config, 1), product);
+});
+
+test('legacy payloads are mapped onto the same model', async () => {
+  const config = await storeConfig([{
+    id: '2',
+    title: 'Developer Hoodie',
+    description: '<p>Warm</p>',
+    product_type: 'Apparel',
+    tags: 'winter, fleece',
+    variants: [
+      { id: 20, option1: 'S', price: '55', inventory_quantity: 2 },
+      { id: 21, title: 'L', inventory_quantity: 3 }
+    ]
+  }], { legacy: true });
+
+  const [product] = await fetchProducts(config);
+  assert.equal(product.handle, 'developer-hoodie');
+  assert.equal(product.body, '<p>Warm</p>');
+  assert.equal(product.type, 'Apparel');
+  assert.deepEqual(product.tags, ['winter', 'fleece']);
+  // The product price comes from its variants, and stock is their total
+  assert.equal(product.price, 55);
+  assert.equal(product.inventory_qty, 5);
+  assert.deepEqual(product.variants.map(variant => [variant.option1_value, variant.price]), [['S', 55], ['L', 55]]);
+});
+
+test('legacy stores without a product endpoint are searched by list', async () => {
+  const config = await storeConfig([
+    { id: 3, title: 'Mug', price: 12, product_type: 'Accessories' },
+    { id: 4, title: 'Sticker', price: 3, product_type: 'Accessories' }
+  ], { legacy: true });
+
+  assert.equal((await fetchProduct(config, '4')).title, 'Sticker');
+  await assert.rejects(fetchProduct(config, 99), { name: 'StoreApiError', status: 404 });
+  // Query parameters are applied locally, as legacy stores ignore them
+  assert.deepEqual((await fetchProducts(config, { query: 'mug' })).map(product => product.id), [3]);
+});
+
+test('payloads that break the schema are rejected with the reason', async () => {
+  const config = await storeConfig([{ id: 5, title: 'No price' }]);
+  await assert.rejects(fetchProducts(config), (error) => {
+    assert.ok(error instanceof StoreApiError);
+    assert.equal(error.status, 502);
+    assert.match(error.message, /unexpected response for \/api\/products \(products\.0\.price: Product has no price or priced variants\)/);
+    return true;
+  });
+});